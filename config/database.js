@@ -3,7 +3,15 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
-const { Pool } = pg;
+const { Pool, types } = pg;
+
+// Timestamp columns are TIMESTAMP WITHOUT TIME ZONE holding UTC wall time. Read them back as UTC,
+// send Date parameters as UTC and run each session in UTC (for CURRENT_TIMESTAMP defaults and NOW()),
+// so stored times do not shift with the server's local time zone.
+types.setTypeParser(types.builtins.TIMESTAMP, value =>
+  value === 'infinity' || value === '-infinity' ? value : new Date(`${value.replace(' ', 'T')}Z`)
+);
+pg.defaults.parseInputDatesAsUTC = true;
 
 export const pool = new Pool({
   user: process.env.DB_USER || 'postgres',
@@ -14,6 +22,10 @@ export const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
+pool.on('connect', (client) => {
+  client.query("SET TIME ZONE 'UTC'").catch(err => console.error('Failed to set session time zone', err));
+});
+
 pool.on('error', (err) => {
   console.error('Unexpected error on idle client', err);
 });
@@ -33,3 +45,20 @@ export async function closePool() {
   await pool.end();
   console.log('Database pool closed');
 }
+
+// Run `callback` with a dedicated client inside BEGIN/COMMIT, rolling back on error
+export async function withTransaction(callback) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
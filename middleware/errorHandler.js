@@ -23,6 +23,19 @@ export const errorHandler = (err, req, res, next) => {
     return res.status(401).json({ error: 'Token expired' });
   }
 
+  // Booking conflicts
+  if (err.name === 'ConflictError') {
+    return res.status(409).json({
+      error: err.message,
+      ...(err.conflict && { conflict: err.conflict })
+    });
+  }
+
+  // Unique and exclusion constraint violations
+  if (err.code === '23505' || err.code === '23P01') {
+    return res.status(409).json({ error: 'This record conflicts with an existing one' });
+  }
+
   // Database errors
   if (err.code === 'P0001') {
     return res.status(400).json({ error: 'Database error: ' + err.message });
@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+import { pool } from '../config/database.js';
+
+const MINUTE = 60 * 1000;
+
+// Completed responses are replayed for this long
+export const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// A request that never finished (e.g. the process died) frees its key after this long
+const PROCESSING_TIMEOUT_MINUTES = 5;
+
+// JSON with object keys sorted, so the same payload always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function requestFingerprint(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body ?? {})}`)
+    .digest('hex');
+}
+
+/**
+ * A signed-in user's keys are scoped to their account, so one account's key never replays another's
+ * response. Guests have no stable identity (their address can change between retries), so their
+ * keys share the endpoint's scope: a retry from anywhere is deduplicated, and a key reused with a
+ * different payload is rejected.
+ */
+function clientScope(scope, req) {
+  return req.userId
+    ? `${scope}:${crypto.createHash('sha256').update(`user:${req.userId}`).digest('hex')}`
+    : `${scope}:guest`;
+}
+
+// Claim the key for this request; returns the existing record when another request already holds it
+async function claimKey(scope, key, fingerprint) {
+  const now = new Date();
+
+  await pool.query(
+    'DELETE FROM idempotency_keys WHERE scope = $1 AND key = $2 AND expires_at <= $3',
+    [scope, key, now.toISOString()]
+  );
+
+  const inserted = await pool.query(
+    `INSERT INTO idempotency_keys (scope, key, fingerprint, expires_at)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (scope, key) DO NOTHING
+     RETURNING id`,
+    [scope, key, fingerprint, new Date(now.getTime() + PROCESSING_TIMEOUT_MINUTES * MINUTE).toISOString()]
+  );
+  if (inserted.rows.length > 0) {
+    return { id: inserted.rows[0].id, existing: null };
+  }
+
+  const existing = await pool.query(
+    `SELECT id, fingerprint, status, response_status, response_body
+     FROM idempotency_keys WHERE scope = $1 AND key = $2`,
+    [scope, key]
+  );
+  return { id: null, existing: existing.rows[0] || null };
+}
+
+/**
+ * Make a POST endpoint safe to retry: with an `Idempotency-Key` header the first response is stored
+ * and replayed for repeats of the same request. Reusing a key with a different payload is a 422.
+ * Server errors are not stored, so the client can retry them with the same key.
+ */
+export function idempotent(scope) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > 255) {
+      return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+    }
+
+    try {
+      const fingerprint = requestFingerprint(req);
+      const keyScope = clientScope(scope, req);
+      let claim = await claimKey(keyScope, key, fingerprint);
+
+      // The holder finished and its record expired between our insert and select
+      if (!claim.id && !claim.existing) {
+        claim = await claimKey(keyScope, key, fingerprint);
+      }
+
+      const { id, existing } = claim;
+      if (existing) {
+        if (existing.fingerprint !== fingerprint) {
+          return res.status(422).json({ error: 'Idempotency-Key was already used with a different request' });
+        }
+        if (existing.status !== 'completed') {
+          return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status).json(existing.response_body);
+      }
+      if (!id) {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+      }
+
+      // Store the response before it is sent, so a retry arriving right after sees it
+      const sendJson = res.json.bind(res);
+      res.json = (body) => {
+        const stored = res.statusCode < 500
+          ? pool.query(
+            `UPDATE idempotency_keys
+             SET status = 'completed', response_status = $2, response_body = $3, completed_at = CURRENT_TIMESTAMP,
+                 expires_at = $4
+             WHERE id = $1`,
+            [id, res.statusCode, JSON.stringify(body),
+             new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * MINUTE).toISOString()]
+          )
+          : pool.query('DELETE FROM idempotency_keys WHERE id = $1', [id]);
+
+        stored
+          .catch(error => console.error('Failed to store idempotent response:', error))
+          .finally(() => sendJson(body));
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Remove keys whose replay window has passed
+export async function purgeExpiredIdempotencyKeys() {
+  const result = await pool.query(
+    'DELETE FROM idempotency_keys WHERE expires_at <= $1',
+    [new Date().toISOString()]
+  );
+  return result.rowCount;
+}
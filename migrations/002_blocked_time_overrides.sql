@@ -0,0 +1,6 @@
+-- Blocked times double as date-specific availability overrides:
+-- 'blocked' rows remove time, 'available' rows add one-off extra hours
+ALTER TABLE blocked_times ADD COLUMN IF NOT EXISTS kind VARCHAR(20) DEFAULT 'blocked';
+ALTER TABLE blocked_times ADD COLUMN IF NOT EXISTS recurring_until TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_blocked_times_end_time ON blocked_times(end_time);
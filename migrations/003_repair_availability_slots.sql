@@ -0,0 +1,19 @@
+-- Bookings used to flip availability_slots.is_active to FALSE for the whole recurring
+-- weekday window. Occupancy now comes from the bookings table and the weekly template
+-- is never touched by bookings, so repair rows that were switched off that way.
+--
+-- Owners also removed rows by setting is_active = FALSE, without touching updated_at, so an
+-- inactive row alone does not show which of the two switched it off. Only rows provably
+-- disabled by a booking are restored: their last update came within a minute of a booking of
+-- the same event type being created, which is when the booking switched them off. Owners only
+-- saw active rows, so they could not have removed a row after that. Rows disabled by a
+-- reschedule cannot be told apart from removed ones and stay inactive.
+UPDATE availability_slots s
+SET is_active = TRUE, updated_at = CURRENT_TIMESTAMP
+WHERE s.is_active = FALSE
+AND EXISTS (
+  SELECT 1 FROM bookings b
+  WHERE b.event_type_id = s.event_type_id
+  AND s.updated_at >= b.created_at
+  AND s.updated_at < b.created_at + INTERVAL '1 minute'
+);
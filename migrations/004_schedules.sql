@@ -0,0 +1,31 @@
+-- Named availability schedules shared across event types
+CREATE TABLE IF NOT EXISTS schedules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  timezone VARCHAR(50) NOT NULL DEFAULT 'UTC',
+  is_default BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deleted_at TIMESTAMP
+);
+
+-- Weekly rules belong either to a schedule or, as per-weekday overrides, to an event type
+ALTER TABLE availability_slots ADD COLUMN IF NOT EXISTS schedule_id UUID REFERENCES schedules(id) ON DELETE CASCADE;
+ALTER TABLE availability_slots ALTER COLUMN event_type_id DROP NOT NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'availability_slots_owner_check') THEN
+    ALTER TABLE availability_slots
+      ADD CONSTRAINT availability_slots_owner_check CHECK (event_type_id IS NOT NULL OR schedule_id IS NOT NULL);
+  END IF;
+END $$;
+
+ALTER TABLE event_types ADD COLUMN IF NOT EXISTS schedule_id UUID REFERENCES schedules(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_schedules_user_id ON schedules(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_schedules_default ON schedules(user_id) WHERE is_default = TRUE AND deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_availability_slots_event_type_id ON availability_slots(event_type_id);
+CREATE INDEX IF NOT EXISTS idx_availability_slots_schedule_id ON availability_slots(schedule_id);
+CREATE INDEX IF NOT EXISTS idx_event_types_schedule_id ON event_types(schedule_id);
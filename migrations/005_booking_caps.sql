@@ -0,0 +1,4 @@
+-- Daily and weekly booking caps, per owner and per event type
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS max_bookings_per_week INTEGER;
+ALTER TABLE event_types ADD COLUMN IF NOT EXISTS max_bookings_per_day INTEGER;
+ALTER TABLE event_types ADD COLUMN IF NOT EXISTS max_bookings_per_week INTEGER;
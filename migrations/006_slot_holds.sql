@@ -0,0 +1,15 @@
+-- Short-lived reservations of a slot while a guest completes the booking form
+CREATE TABLE IF NOT EXISTS slot_holds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  token VARCHAR(64) UNIQUE NOT NULL,
+  event_type_id UUID NOT NULL REFERENCES event_types(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  scheduled_at TIMESTAMP NOT NULL,
+  end_time TIMESTAMP NOT NULL,
+  guest_email VARCHAR(255),
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_slot_holds_user_id ON slot_holds(user_id, scheduled_at);
+CREATE INDEX IF NOT EXISTS idx_slot_holds_expires_at ON slot_holds(expires_at);
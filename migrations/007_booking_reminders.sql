@@ -0,0 +1,24 @@
+-- Reminder emails as durable jobs, sent by scripts/reminderWorker.js
+CREATE TABLE IF NOT EXISTS booking_reminders (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  offset_minutes INTEGER NOT NULL,
+  send_at TIMESTAMP NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'booking_reminders_status_check') THEN
+    ALTER TABLE booking_reminders ADD CONSTRAINT booking_reminders_status_check
+      CHECK (status IN ('pending', 'sent', 'failed', 'cancelled', 'skipped'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_booking_reminders_due ON booking_reminders(status, send_at);
+CREATE INDEX IF NOT EXISTS idx_booking_reminders_booking_id ON booking_reminders(booking_id);
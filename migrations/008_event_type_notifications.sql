@@ -0,0 +1,29 @@
+-- Per-event-type reminder and follow-up schedule, relative to the meeting start or end
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'event_type_notifications') THEN
+    CREATE TABLE event_type_notifications (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      event_type_id UUID NOT NULL REFERENCES event_types(id) ON DELETE CASCADE,
+      relative_to VARCHAR(10) NOT NULL DEFAULT 'start' CHECK (relative_to IN ('start', 'end')),
+      timing VARCHAR(10) NOT NULL DEFAULT 'before' CHECK (timing IN ('before', 'after')),
+      offset_minutes INTEGER NOT NULL CHECK (offset_minutes >= 0),
+      channel VARCHAR(20) NOT NULL DEFAULT 'email',
+      template VARCHAR(50) NOT NULL DEFAULT 'reminder',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Existing event types keep the previous fixed 24-hour and 1-hour reminders
+    INSERT INTO event_type_notifications (event_type_id, relative_to, timing, offset_minutes)
+    SELECT et.id, 'start', 'before', o.offset_minutes
+    FROM event_types et
+    CROSS JOIN (VALUES (1440), (60)) AS o(offset_minutes);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_event_type_notifications_event_type_id ON event_type_notifications(event_type_id);
+
+-- Reminder jobs remember which notification they came from and how to send it
+ALTER TABLE booking_reminders ADD COLUMN IF NOT EXISTS notification_id UUID REFERENCES event_type_notifications(id) ON DELETE SET NULL;
+ALTER TABLE booking_reminders ADD COLUMN IF NOT EXISTS channel VARCHAR(20) NOT NULL DEFAULT 'email';
+ALTER TABLE booking_reminders ADD COLUMN IF NOT EXISTS template VARCHAR(50) NOT NULL DEFAULT 'reminder';
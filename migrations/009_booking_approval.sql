@@ -0,0 +1,10 @@
+-- Event types whose bookings wait for the owner's approval
+ALTER TABLE event_types ADD COLUMN IF NOT EXISTS requires_approval BOOLEAN DEFAULT FALSE;
+ALTER TABLE event_types ADD COLUMN IF NOT EXISTS approval_window_hours INTEGER DEFAULT 24;
+
+-- A pending booking holds its slot until approval_expires_at
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS approval_expires_at TIMESTAMP;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS declined_at TIMESTAMP;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS decline_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_pending ON bookings(approval_expires_at) WHERE status = 'pending';
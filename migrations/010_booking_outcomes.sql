@@ -0,0 +1,5 @@
+-- What happened at a past meeting: status becomes 'completed' or 'no_show'
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS outcome_note TEXT;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS outcome_recorded_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_status_end_time ON bookings(status, end_time);
@@ -0,0 +1,7 @@
+-- Google Calendar changes that failed and are waiting to be retried by the worker
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS calendar_sync_action VARCHAR(10);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS calendar_sync_error TEXT;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS calendar_sync_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS calendar_sync_retry_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_calendar_sync_retry ON bookings(calendar_sync_retry_at) WHERE calendar_sync_action IS NOT NULL;
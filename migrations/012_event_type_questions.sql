@@ -0,0 +1,15 @@
+-- Questions guests answer when booking; answers are stored in bookings.custom_fields by question key
+CREATE TABLE IF NOT EXISTS event_type_questions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  event_type_id UUID NOT NULL REFERENCES event_types(id) ON DELETE CASCADE,
+  key VARCHAR(50) NOT NULL,
+  label VARCHAR(255) NOT NULL,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('text', 'long_text', 'select', 'multi_select', 'checkbox', 'phone', 'url')),
+  required BOOLEAN NOT NULL DEFAULT FALSE,
+  options JSONB,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(event_type_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_type_questions_event_type_id ON event_type_questions(event_type_id, position);
@@ -0,0 +1,7 @@
+-- Owner booking list: full-text search (same expression as BOOKING_SEARCH_VECTOR in services/bookingQueryService.js)
+CREATE INDEX IF NOT EXISTS idx_bookings_search ON bookings
+  USING GIN (to_tsvector('simple', coalesce(guest_name, '') || ' ' || coalesce(guest_email, '') || ' ' || coalesce(description, '')));
+
+-- Sorted pages of one owner's bookings
+CREATE INDEX IF NOT EXISTS idx_bookings_user_scheduled_at ON bookings(user_id, scheduled_at, id);
+CREATE INDEX IF NOT EXISTS idx_bookings_user_created_at ON bookings(user_id, created_at, id);
@@ -0,0 +1,3 @@
+-- Revision of the booking's calendar invite; raised on every reschedule and cancellation
+-- so mail clients apply the update to the entry they already have
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS ics_sequence INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,20 @@
+-- Colleagues a guest brings to a booking, beyond the guest who booked
+ALTER TABLE event_types ADD COLUMN IF NOT EXISTS max_additional_attendees INTEGER NOT NULL DEFAULT 0;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'event_types_max_additional_attendees_check') THEN
+    ALTER TABLE event_types ADD CONSTRAINT event_types_max_additional_attendees_check
+      CHECK (max_additional_attendees >= 0);
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS booking_attendees (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  name VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_booking_attendees_booking_email ON booking_attendees(booking_id, LOWER(email));
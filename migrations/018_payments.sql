@@ -0,0 +1,34 @@
+-- Paid event types: guests pay through a payment provider before the booking is confirmed
+ALTER TABLE event_types ADD COLUMN IF NOT EXISTS price DECIMAL(10, 2);
+ALTER TABLE event_types ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'USD';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'event_types_price_check') THEN
+    ALTER TABLE event_types ADD CONSTRAINT event_types_price_check CHECK (price IS NULL OR price >= 0);
+  END IF;
+END $$;
+
+-- A booking waiting for payment holds its slot until this time
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS payment_expires_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_payment_expires_at ON bookings(payment_expires_at) WHERE status = 'pending_payment';
+
+CREATE TABLE IF NOT EXISTS payments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  provider VARCHAR(50) NOT NULL,
+  provider_payment_id VARCHAR(255) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  currency VARCHAR(3) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed', 'expired')),
+  checkout_url TEXT,
+  paid_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(provider, provider_payment_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_booking_id ON payments(booking_id);
+CREATE INDEX IF NOT EXISTS idx_payments_user_paid_at ON payments(user_id, paid_at) WHERE status = 'succeeded';
@@ -0,0 +1,12 @@
+-- Group event types: up to seats_per_slot guests book the same start time and share one meeting
+ALTER TABLE event_types ADD COLUMN IF NOT EXISTS seats_per_slot INTEGER NOT NULL DEFAULT 1;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'event_types_seats_per_slot_check') THEN
+    ALTER TABLE event_types ADD CONSTRAINT event_types_seats_per_slot_check CHECK (seats_per_slot >= 1);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_event_type_scheduled_at ON bookings(event_type_id, scheduled_at);
+CREATE INDEX IF NOT EXISTS idx_bookings_google_calendar_event_id ON bookings(google_calendar_event_id) WHERE google_calendar_event_id IS NOT NULL;
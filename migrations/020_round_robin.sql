@@ -0,0 +1,24 @@
+-- Round-robin event types: each booking is assigned to one of several hosts by a strategy
+ALTER TABLE event_types ADD COLUMN IF NOT EXISTS assignment_strategy VARCHAR(30);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'event_types_assignment_strategy_check') THEN
+    ALTER TABLE event_types ADD CONSTRAINT event_types_assignment_strategy_check
+      CHECK (assignment_strategy IN ('least_recently_booked', 'fewest_bookings_this_week', 'weighted_priority'));
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS event_type_hosts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  event_type_id UUID NOT NULL REFERENCES event_types(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  weight INTEGER NOT NULL DEFAULT 1 CHECK (weight >= 1),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(event_type_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_type_hosts_user_id ON event_type_hosts(user_id);
+
+-- Assignment reads each host's latest and weekly bookings of the event type
+CREATE INDEX IF NOT EXISTS idx_bookings_event_type_user ON bookings(event_type_id, user_id, scheduled_at);
@@ -0,0 +1,9 @@
+-- Round-robin hosts other than the owner are invited and take bookings only once they accept
+ALTER TABLE event_type_hosts ADD COLUMN IF NOT EXISTS accepted_at TIMESTAMP;
+
+-- The owner needs no invite to host their own event type
+UPDATE event_type_hosts h SET accepted_at = h.created_at
+FROM event_types et
+WHERE et.id = h.event_type_id AND et.user_id = h.user_id AND h.accepted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_event_type_hosts_pending ON event_type_hosts(user_id) WHERE accepted_at IS NULL;
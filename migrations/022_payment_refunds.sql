@@ -0,0 +1,7 @@
+-- A payment that succeeds after its booking was cancelled, expired or lost its slot is kept as
+-- 'refund_required': the guest was charged without a meeting, so the owner has to refund it
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+ALTER TABLE payments ADD CONSTRAINT payments_status_check
+  CHECK (status IN ('pending', 'succeeded', 'failed', 'expired', 'refund_required'));
+
+CREATE INDEX IF NOT EXISTS idx_payments_refund_required ON payments(user_id, paid_at) WHERE status = 'refund_required';
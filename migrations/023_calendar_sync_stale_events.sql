@@ -0,0 +1,3 @@
+-- Calendar events a rescheduled seat left behind as the last seat of its old session; the calendar
+-- sync deletes them, and a failed delete is retried by the worker like any other calendar change
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS calendar_sync_stale_event_ids TEXT[] NOT NULL DEFAULT '{}';
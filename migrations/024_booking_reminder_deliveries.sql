@@ -0,0 +1,3 @@
+-- Recipients a reminder job has already been delivered to, so a retry after a failed send
+-- only goes to the recipients still waiting for their copy
+ALTER TABLE booking_reminders ADD COLUMN IF NOT EXISTS sent_to TEXT[] NOT NULL DEFAULT '{}';
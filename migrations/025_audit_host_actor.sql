@@ -0,0 +1,3 @@
+-- Co-hosts answering an invite to another owner's event type are recorded as 'host' actors
+ALTER TABLE audit_logs DROP CONSTRAINT IF EXISTS audit_logs_actor_type_check;
+ALTER TABLE audit_logs ADD CONSTRAINT audit_logs_actor_type_check CHECK (actor_type IN ('owner', 'guest', 'host', 'system'));
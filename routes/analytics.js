@@ -3,6 +3,12 @@ import { pool } from '../config/database.js';
 
 const router = express.Router();
 
+// Share of meetings with a recorded outcome where the guest did not show up, as a percentage
+function noShowRate(completed, noShow) {
+  const total = completed + noShow;
+  return total > 0 ? parseFloat(((noShow / total) * 100).toFixed(2)) : 0;
+}
+
 // Get dashboard analytics
 router.get('/dashboard', async (req, res, next) => {
   try {
@@ -13,7 +19,9 @@ router.get('/dashboard', async (req, res, next) => {
     const bookingsResult = await pool.query(
       `SELECT COUNT(*) as total,
               SUM(CASE WHEN status = 'confirmed' THEN 1 ELSE 0 END) as confirmed,
-              SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled
+              SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled,
+              SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed,
+              SUM(CASE WHEN status = 'no_show' THEN 1 ELSE 0 END) as no_show
        FROM bookings WHERE user_id = $1 AND created_at >= $2`,
       [req.userId, thirtyDaysAgo.toISOString()]
     );
@@ -31,6 +39,15 @@ router.get('/dashboard', async (req, res, next) => {
       [req.userId]
     );
 
+    // Payments received, per currency
+    const revenueResult = await pool.query(
+      `SELECT currency, SUM(amount) AS amount, COUNT(*) AS payments
+       FROM payments WHERE user_id = $1 AND status = 'succeeded' AND paid_at >= $2
+       GROUP BY currency
+       ORDER BY currency`,
+      [req.userId, thirtyDaysAgo.toISOString()]
+    );
+
     // Recent bookings
     const recentResult = await pool.query(
       `SELECT id, event_type_id, guest_name, guest_email, scheduled_at, status
@@ -48,13 +65,21 @@ router.get('/dashboard', async (req, res, next) => {
       analytics: {
         bookings: {
           total: parseInt(bookingsData.total),
-          confirmed: parseInt(bookingsData.confirmed),
-          cancelled: parseInt(bookingsData.cancelled)
+          confirmed: parseInt(bookingsData.confirmed) || 0,
+          cancelled: parseInt(bookingsData.cancelled) || 0,
+          completed: parseInt(bookingsData.completed) || 0,
+          noShow: parseInt(bookingsData.no_show) || 0,
+          noShowRate: noShowRate(parseInt(bookingsData.completed) || 0, parseInt(bookingsData.no_show) || 0)
         },
         eventTypes: {
           total: parseInt(eventsData.total)
         },
         upcoming: parseInt(upcomingData.total),
+        revenue: revenueResult.rows.map(r => ({
+          currency: r.currency,
+          amount: parseFloat(r.amount),
+          payments: parseInt(r.payments)
+        })),
         recentBookings: recentResult.rows.map(b => ({
           id: b.id,
           eventTypeId: b.event_type_id,
@@ -108,7 +133,9 @@ router.get('/by-event-type', async (req, res, next) => {
     const result = await pool.query(
       `SELECT et.id, et.name, COUNT(b.id) as booking_count,
               SUM(CASE WHEN b.status = 'confirmed' THEN 1 ELSE 0 END) as confirmed,
-              SUM(CASE WHEN b.status = 'cancelled' THEN 1 ELSE 0 END) as cancelled
+              SUM(CASE WHEN b.status = 'cancelled' THEN 1 ELSE 0 END) as cancelled,
+              SUM(CASE WHEN b.status = 'completed' THEN 1 ELSE 0 END) as completed,
+              SUM(CASE WHEN b.status = 'no_show' THEN 1 ELSE 0 END) as no_show
        FROM event_types et
        LEFT JOIN bookings b ON et.id = b.event_type_id
        WHERE et.user_id = $1 AND et.deleted_at IS NULL
@@ -122,7 +149,10 @@ router.get('/by-event-type', async (req, res, next) => {
       eventTypeName: row.name,
       totalBookings: parseInt(row.booking_count),
       confirmed: parseInt(row.confirmed) || 0,
-      cancelled: parseInt(row.cancelled) || 0
+      cancelled: parseInt(row.cancelled) || 0,
+      completed: parseInt(row.completed) || 0,
+      noShow: parseInt(row.no_show) || 0,
+      noShowRate: noShowRate(parseInt(row.completed) || 0, parseInt(row.no_show) || 0)
     }));
 
     res.json({
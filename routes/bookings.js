@@ -1,26 +1,75 @@
 import express from 'express';
-import { pool } from '../config/database.js';
-import { validate, bookingSchema } from '../utils/validators.js';
+import { pool, withTransaction } from '../config/database.js';
+import {
+  validate,
+  bookingSchema,
+  cancelBookingSchema,
+  declineBookingSchema,
+  rescheduleBookingSchema,
+  bookingOutcomeSchema,
+  bookingNotesSchema,
+  bookingListQuerySchema,
+  bookingExportQuerySchema,
+  attendeeSchema,
+  buildAnswersSchema
+} from '../utils/validators.js';
 import { v4 as uuidv4 } from 'uuid';
-import { optionalAuth } from '../middleware/auth.js';
-import { createGoogleMeetEvent, updateGoogleMeetEvent, deleteGoogleMeetEvent } from '../services/googleMeetService.js';
-import { sendBookingConfirmation, sendBookingReminder, sendCancellationNotice } from '../services/emailService.js';
+import { authMiddleware, optionalAuth } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { scheduleReminders } from '../services/reminderService.js';
+import { getEventTypeQuestions, formatAnswers } from '../services/questionService.js';
+import { recordAudit, diffChanges, requestActor, formatAuditEntry, getBookingHistory } from '../services/auditService.js';
+import { getBookingAttendees, addBookingAttendee, formatAttendee } from '../services/attendeeService.js';
+import { isPaidEventType, getPaymentExpiry, startCheckout, getBookingPayment, formatPayment } from '../services/paymentService.js';
+import {
+  withAssignedHost,
+  getHoldHost,
+  assertNoBookingConflict,
+  assertWithinBookingLimits,
+  findActiveHold,
+  getBookingEventType,
+  cancelBooking,
+  rescheduleBooking,
+  BOOKING_COLUMNS,
+  getApprovalExpiry,
+  confirmBooking,
+  notifyBookingRequested,
+  approveBooking,
+  declineBooking,
+  recordBookingOutcome,
+  addAttendee,
+  removeAttendee
+} from '../services/bookingService.js';
+import {
+  buildBookingFilters,
+  bookingOrderBy,
+  bookingCursorColumn,
+  encodeBookingCursor,
+  decodeBookingCursor,
+  bookingCursorCondition
+} from '../services/bookingQueryService.js';
+import { writeBookingsCsv, writeBookingsIcs } from '../services/bookingExportService.js';
 
 const router = express.Router();
 
-// Create booking (public endpoint for embeds, optional auth)
-router.post('/', optionalAuth, async (req, res, next) => {
+// Create booking (public endpoint for embeds, optional auth; retries are safe with an Idempotency-Key header)
+router.post('/', optionalAuth, idempotent('bookings.create'), async (req, res, next) => {
   try {
     const validation = await validate(bookingSchema, req.body);
     if (!validation.valid) {
       return res.status(400).json({ errors: validation.errors });
     }
 
-    const { event_type_id, guest_name, guest_email, guest_phone, guest_timezone, scheduled_at, description, custom_fields } = validation.data;
+    const { event_type_id, guest_name, guest_email, guest_phone, guest_timezone, scheduled_at, description, custom_fields, hold_token } = validation.data;
+    // The guest is always on the booking, so listing them again is ignored
+    const attendees = (validation.data.attendees || [])
+      .filter(a => a.email.toLowerCase() !== guest_email.toLowerCase());
 
     // Get event type details
     const eventResult = await pool.query(
-      `SELECT et.id, et.user_id, et.name, et.duration_minutes, u.email as user_email, u.timezone
+      `SELECT et.id, et.user_id, et.name, et.duration_minutes, et.buffer_time_before, et.buffer_time_after,
+              et.min_advance_notice_minutes, et.max_advance_booking_days, et.requires_approval, et.approval_window_hours, et.max_additional_attendees, et.price, et.currency, et.seats_per_slot,
+              et.assignment_strategy, u.email as user_email, u.timezone AS owner_timezone
        FROM event_types et
        JOIN users u ON et.user_id = u.id
        WHERE et.id = $1 AND et.is_active = TRUE AND et.deleted_at IS NULL`,
@@ -32,173 +81,117 @@ router.post('/', optionalAuth, async (req, res, next) => {
     }
 
     const eventType = eventResult.rows[0];
-    const endTime = new Date(scheduled_at);
-    endTime.setMinutes(endTime.getMinutes() + eventType.duration_minutes);
-
-    // Check for conflicts
-    const conflictCheck = await pool.query(
-      `SELECT id FROM bookings
-       WHERE event_type_id = $1 AND status = 'confirmed'
-       AND scheduled_at < $2 AND end_time > $3`,
-      [event_type_id, endTime.toISOString(), scheduled_at]
-    );
 
-    if (conflictCheck.rows.length > 0) {
-      return res.status(409).json({ error: 'This time slot is already booked' });
+    if (attendees.length > eventType.max_additional_attendees) {
+      return res.status(400).json({
+        errors: [{
+          field: 'attendees',
+          message: eventType.max_additional_attendees === 0
+            ? 'This event type does not allow additional attendees'
+            : `At most ${eventType.max_additional_attendees} additional attendees are allowed`
+        }]
+      });
     }
 
-    // Create Google Meet event
-    let meetLink = null;
-    let googleEventId = null;
-    try {
-      const googleEvent = await createGoogleMeetEvent({
-        summary: `Consultation: ${guest_name}`,
-        description: description || `Consultation with ${guest_name}`,
-        startTime: new Date(scheduled_at),
-        endTime: endTime,
-        attendeeEmail: guest_email,
-        organizerEmail: eventType.user_email
+    // Answers must match the event type's questions
+    const answersValidation = await validate(buildAnswersSchema(await getEventTypeQuestions(pool, event_type_id)), custom_fields || {});
+    if (!answersValidation.valid) {
+      return res.status(400).json({
+        errors: answersValidation.errors.map(e => ({ ...e, field: `custom_fields.${e.field}` }))
       });
-
-      if (googleEvent) {
-        meetLink = googleEvent.meetLink;
-        googleEventId = googleEvent.eventId;
-      }
-    } catch (googleError) {
-      console.error('Google Meet creation failed:', googleError);
-      // Continue with booking even if Google Meet fails
     }
-
-    // Create booking
-    const bookingId = uuidv4();
-    const result = await pool.query(
-      `INSERT INTO bookings (id, event_type_id, user_id, guest_name, guest_email, guest_phone, guest_timezone, scheduled_at, end_time, duration_minutes, description, google_meet_link, google_calendar_event_id, custom_fields)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-       RETURNING id, event_type_id, user_id, guest_name, guest_email, scheduled_at, status, google_meet_link, created_at`,
-      [bookingId, event_type_id, eventType.user_id, guest_name, guest_email, guest_phone, guest_timezone, scheduled_at, endTime.toISOString(), eventType.duration_minutes, description, meetLink, googleEventId, JSON.stringify(custom_fields || {})]
+    // Unanswered optional questions are not stored
+    const answers = Object.fromEntries(
+      Object.entries(answersValidation.data).filter(([, value]) => value !== '' && value !== null)
     );
 
-    const booking = result.rows[0];
-
-    // Update analytics
-    try {
-      const today = new Date().toISOString().split('T')[0];
-      await pool.query(
-        `INSERT INTO analytics (user_id, event_type_id, action_type, booking_count, date)
-         VALUES ($1, $2, 'booking_created', 1, $3)
-         ON CONFLICT (user_id, event_type_id, date)
-         DO UPDATE SET booking_count = booking_count + 1, updated_at = CURRENT_TIMESTAMP`,
-        [eventType.user_id, event_type_id, today]
-      );
-      console.log(`✅ Analytics updated for booking ${bookingId}`);
-    } catch (analyticsError) {
-      console.error('Failed to update analytics:', analyticsError);
-    }
+    const endTime = new Date(scheduled_at);
+    endTime.setMinutes(endTime.getMinutes() + eventType.duration_minutes);
+
+    const startTime = new Date(scheduled_at);
+
+    // A held slot is booked with the host holding it
+    const hostId = hold_token ? await getHoldHost(hold_token) : null;
 
-    // Update availability slots - mark booked times as unavailable
-    try {
-      const bookingStart = new Date(scheduled_at);
-      const bookingEnd = endTime;
-      const dayOfWeek = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][bookingStart.getDay()];
-      const bookingStartTime = bookingStart.toTimeString().slice(0, 5); // HH:MM format
-      const bookingEndTime = bookingEnd.toTimeString().slice(0, 5); // HH:MM format
-
-      // Find and disable all availability slots that overlap with this booking
-      // A slot overlaps if: slot.start_time < booking.end_time AND slot.end_time > booking.start_time
-      await pool.query(
-        `UPDATE availability_slots
-         SET is_active = FALSE, updated_at = CURRENT_TIMESTAMP
-         WHERE event_type_id = $1
-         AND day_of_week = $2
-         AND start_time < $3
-         AND end_time > $4`,
-        [
-          event_type_id,
-          dayOfWeek,
-          bookingEndTime,    // Slot must start before booking ends
-          bookingStartTime   // Slot must end after booking starts
-        ]
+    // Check the time against the host's schedule and calendar, then create the booking under their
+    // calendar lock; round-robin event types assign the first available host by their strategy
+    const bookingId = uuidv4();
+    const assigned = await withAssignedHost(eventType, { start: startTime, end: endTime, hostId }, async (client, host) => {
+      // A guest holding the slot converts their hold; it must not conflict with itself
+      const hold = hold_token ? await findActiveHold(client, { token: hold_token, eventType: host, start: startTime }) : null;
+      const excludeIds = hold ? [hold.id] : [];
+
+      await assertNoBookingConflict(client, { eventType: host, start: startTime, end: endTime, excludeIds });
+      await assertWithinBookingLimits(client, { eventType: host, start: startTime, excludeIds });
+
+      // Bookings of event types that need approval or payment wait, holding the slot until they expire
+      const isPaid = isPaidEventType(eventType);
+      const status = isPaid ? 'pending_payment' : eventType.requires_approval ? 'pending' : 'confirmed';
+      const approvalExpiresAt = status === 'pending' ? getApprovalExpiry(eventType, startTime) : null;
+      const paymentExpiresAt = isPaid ? getPaymentExpiry(startTime) : null;
+
+      const result = await client.query(
+        `INSERT INTO bookings (id, event_type_id, user_id, guest_name, guest_email, guest_phone, guest_timezone, scheduled_at, end_time, duration_minutes, description, custom_fields, status, approval_expires_at, payment_expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+         RETURNING ${BOOKING_COLUMNS}`,
+        [bookingId, event_type_id, host.user_id, guest_name, guest_email, guest_phone, guest_timezone, startTime.toISOString(), endTime.toISOString(), eventType.duration_minutes, description, JSON.stringify(answers), status, approvalExpiresAt && approvalExpiresAt.toISOString(), paymentExpiresAt && paymentExpiresAt.toISOString()]
       );
-      console.log(`✅ Availability slots marked as booked for ${bookingStartTime}-${bookingEndTime} on ${dayOfWeek}`);
-    } catch (slotError) {
-      console.error('Failed to update availability slots:', slotError);
-    }
 
-    // Send confirmation email to guest
-    try {
-      await sendBookingConfirmation({
-        guestName: guest_name,
-        guestEmail: guest_email,
-        eventName: eventType.name,
-        scheduledAt: new Date(scheduled_at),
-        duration: eventType.duration_minutes,
-        meetLink: meetLink
-      });
-      console.log(`✅ Confirmation email sent to ${guest_email}`);
-    } catch (emailError) {
-      console.error('Failed to send confirmation email:', emailError);
-    }
+      if (hold) {
+        await client.query('DELETE FROM slot_holds WHERE id = $1', [hold.id]);
+      }
+
+      const addedAttendees = [];
+      for (const attendee of attendees) {
+        addedAttendees.push(await addBookingAttendee(client, bookingId, attendee));
+      }
 
-    // Send notification email to owner
-    try {
-      await sendBookingConfirmation({
-        guestName: `New Booking: ${guest_name}`,
-        guestEmail: eventType.user_email,
-        eventName: eventType.name,
-        scheduledAt: new Date(scheduled_at),
-        duration: eventType.duration_minutes,
-        meetLink: meetLink,
-        isOwnerNotification: true,
-        guestContactEmail: guest_email,
-        guestPhone: guest_phone
+      // Owners booking on their own page are recorded as the owner
+      await recordAudit(client, {
+        userId: host.user_id,
+        action: 'booking.created',
+        resourceType: 'booking',
+        resourceId: bookingId,
+        changes: diffChanges({}, {
+          ...result.rows[0],
+          attendees: addedAttendees.length > 0 ? addedAttendees.map(a => ({ email: a.email, name: a.name })) : undefined
+        }, [
+          'event_type_id', 'guest_name', 'guest_email', 'guest_phone', 'scheduled_at', 'end_time',
+          'description', 'custom_fields', 'status', 'approval_expires_at', 'payment_expires_at', 'attendees'
+        ]),
+        actor: requestActor(req, req.userId === host.user_id ? 'owner' : 'guest')
       });
-      console.log(`✅ Owner notification sent to ${eventType.user_email}`);
-    } catch (emailError) {
-      console.error('Failed to send owner notification:', emailError);
-    }
 
-    // Schedule reminders (24 hours and 1 hour before)
-    try {
-      const scheduledDate = new Date(scheduled_at);
-
-      // 24-hour reminder
-      const reminderTime24h = new Date(scheduledDate.getTime() - 24 * 60 * 60 * 1000);
-      if (reminderTime24h > new Date()) {
-        setTimeout(() => {
-          sendBookingReminder({
-            guestName: guest_name,
-            guestEmail: guest_email,
-            eventName: eventType.name,
-            scheduledAt: new Date(scheduled_at),
-            meetLink: meetLink,
-            hoursUntilBooking: 24
-          }).catch(err => console.error('Failed to send 24h reminder:', err));
-        }, reminderTime24h.getTime() - Date.now());
+      // Reminders are sent by the worker; pending bookings get them once approved
+      if (status === 'confirmed') {
+        await scheduleReminders(client, result.rows[0]);
       }
 
-      // 1-hour reminder
-      const reminderTime1h = new Date(scheduledDate.getTime() - 60 * 60 * 1000);
-      if (reminderTime1h > new Date()) {
-        setTimeout(() => {
-          sendBookingReminder({
-            guestName: guest_name,
-            guestEmail: guest_email,
-            eventName: eventType.name,
-            scheduledAt: new Date(scheduled_at),
-            meetLink: meetLink,
-            hoursUntilBooking: 1
-          }).catch(err => console.error('Failed to send 1h reminder:', err));
-        }, reminderTime1h.getTime() - Date.now());
-      }
+      return { booking: result.rows[0], host };
+    });
 
-      console.log(`✅ Reminders scheduled for booking ${bookingId}`);
-    } catch (reminderError) {
-      console.error('Failed to schedule reminders:', reminderError);
+    // From here on the assigned host's calendar and email are used
+    const { host } = assigned;
+    let { booking } = assigned;
+
+    // Paid bookings are confirmed by the payment provider's webhook once the guest has paid
+    let payment = null;
+    if (booking.status === 'pending_payment') {
+      payment = await startCheckout({ booking, eventType: host });
+    } else if (booking.status === 'pending') {
+      await notifyBookingRequested({ booking, eventType: host });
+    } else {
+      booking = await confirmBooking({ booking, eventType: host });
     }
 
+    const messages = {
+      pending: 'Booking request received and awaiting approval',
+      pending_payment: 'Booking reserved and awaiting payment'
+    };
+
     res.status(201).json({
       success: true,
-      message: 'Booking created successfully',
+      message: messages[booking.status] || 'Booking created successfully',
       booking: {
         id: booking.id,
         eventTypeId: booking.event_type_id,
@@ -207,7 +200,10 @@ router.post('/', optionalAuth, async (req, res, next) => {
         guestEmail: booking.guest_email,
         scheduledAt: booking.scheduled_at,
         status: booking.status,
+        approvalExpiresAt: booking.approval_expires_at,
         googleMeetLink: booking.google_meet_link,
+        attendees: (await getBookingAttendees(pool, booking.id)).map(formatAttendee),
+        payment: payment && formatPayment(payment, booking),
         createdAt: booking.created_at
       }
     });
@@ -216,66 +212,117 @@ router.post('/', optionalAuth, async (req, res, next) => {
   }
 });
 
-// Get user's bookings
+// Everything below is owner-only
+router.use(authMiddleware);
+
+// Get user's bookings: filters, search and sorting, with offset or cursor pagination
 router.get('/', async (req, res, next) => {
   try {
-    const { status, eventTypeId, startDate, endDate, limit = 50, offset = 0 } = req.query;
+    const validation = await validate(bookingListQuerySchema, req.query);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
 
-    let query = `SELECT id, event_type_id, guest_name, guest_email, scheduled_at, status, google_meet_link, created_at
-                 FROM bookings WHERE user_id = $1 AND deleted_at IS NULL`;
-    const params = [req.userId];
-    let paramIndex = 2;
+    const filters = validation.data;
+    const { sort, order, limit, offset } = filters;
+    const cursorMode = filters.pagination === 'cursor' || Boolean(filters.cursor);
 
-    if (status) {
-      query += ` AND status = $${paramIndex}`;
-      params.push(status);
-      paramIndex++;
-    }
+    const { where, params } = buildBookingFilters(req.userId, filters);
 
-    if (eventTypeId) {
-      query += ` AND event_type_id = $${paramIndex}`;
-      params.push(eventTypeId);
-      paramIndex++;
-    }
+    const countResult = await pool.query(`SELECT COUNT(*) FROM bookings WHERE ${where}`, params);
+    const total = parseInt(countResult.rows[0].count);
 
-    if (startDate) {
-      query += ` AND scheduled_at >= $${paramIndex}`;
-      params.push(startDate);
-      paramIndex++;
+    let pageWhere = where;
+    const pageParams = [...params];
+    if (filters.cursor) {
+      const cursor = decodeBookingCursor(filters.cursor, sort, order);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor for this sort order' });
+      }
+      pageWhere += ` AND ${bookingCursorCondition(cursor, pageParams)}`;
     }
 
-    if (endDate) {
-      query += ` AND scheduled_at <= $${paramIndex}`;
-      params.push(endDate);
-      paramIndex++;
+    // One extra row tells whether there is a next page
+    pageParams.push(limit + 1);
+    let query = `SELECT id, event_type_id, guest_name, guest_email, scheduled_at, end_time, status, google_meet_link, custom_fields, created_at,
+                        ${bookingCursorColumn(sort)}
+                 FROM bookings WHERE ${pageWhere}
+                 ORDER BY ${bookingOrderBy(sort, order)}
+                 LIMIT $${pageParams.length}`;
+    if (!cursorMode) {
+      pageParams.push(offset);
+      query += ` OFFSET $${pageParams.length}`;
     }
 
-    query += ` ORDER BY scheduled_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-    params.push(limit, offset);
-
-    const result = await pool.query(query, params);
+    const result = await pool.query(query, pageParams);
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
 
-    const bookings = result.rows.map(b => ({
+    const bookings = rows.map(b => ({
       id: b.id,
       eventTypeId: b.event_type_id,
       guestName: b.guest_name,
       guestEmail: b.guest_email,
       scheduledAt: b.scheduled_at,
+      endTime: b.end_time,
       status: b.status,
       googleMeetLink: b.google_meet_link,
+      customFields: b.custom_fields || {},
       createdAt: b.created_at
     }));
 
     res.json({
       success: true,
       bookings,
-      pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        total: result.rows.length
-      }
+      pagination: cursorMode
+        ? {
+          mode: 'cursor',
+          limit,
+          total,
+          hasMore,
+          nextCursor: hasMore ? encodeBookingCursor(rows[rows.length - 1], sort, order) : null
+        }
+        : {
+          mode: 'offset',
+          limit,
+          offset,
+          total,
+          hasMore
+        },
+      sort: { field: sort, order }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Export the bookings matching the list filters as CSV or iCalendar, streamed as they are read
+router.get('/export', async (req, res, next) => {
+  try {
+    const validation = await validate(bookingExportQuerySchema, req.query);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
+
+    const filters = validation.data;
+    const date = new Date().toISOString().split('T')[0];
+
+    res.status(200);
+    res.set({
+      'Content-Type': filters.format === 'csv' ? 'text/csv; charset=utf-8' : 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="bookings-${date}.${filters.format}"`,
+      'Cache-Control': 'no-store'
     });
+
+    const writeExport = filters.format === 'csv' ? writeBookingsCsv : writeBookingsIcs;
+    await writeExport(res, { userId: req.userId, filters });
+    res.end();
   } catch (error) {
+    // Once rows have been sent the status can't change; cut the download short instead
+    if (res.headersSent) {
+      console.error('Booking export failed:', error);
+      return res.destroy();
+    }
     next(error);
   }
 });
@@ -284,7 +331,8 @@ router.get('/', async (req, res, next) => {
 router.get('/:bookingId', async (req, res, next) => {
   try {
     const result = await pool.query(
-      `SELECT id, event_type_id, user_id, guest_name, guest_email, guest_phone, guest_timezone, scheduled_at, end_time, duration_minutes, description, google_meet_link, status, notes, created_at, updated_at
+      `SELECT id, event_type_id, user_id, guest_name, guest_email, guest_phone, guest_timezone, scheduled_at, end_time, duration_minutes, description, custom_fields, google_meet_link, status, payment_expires_at, notes, outcome_note, outcome_recorded_at,
+              calendar_sync_action, calendar_sync_error, calendar_sync_attempts, calendar_sync_retry_at, created_at, updated_at
        FROM bookings WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL`,
       [req.params.bookingId, req.userId]
     );
@@ -294,6 +342,12 @@ router.get('/:bookingId', async (req, res, next) => {
     }
 
     const b = result.rows[0];
+    const [questions, attendees, payment] = await Promise.all([
+      getEventTypeQuestions(pool, b.event_type_id),
+      getBookingAttendees(pool, b.id),
+      getBookingPayment(b.id)
+    ]);
+
     res.json({
       success: true,
       booking: {
@@ -308,9 +362,23 @@ router.get('/:bookingId', async (req, res, next) => {
         endTime: b.end_time,
         duration: b.duration_minutes,
         description: b.description,
+        customFields: b.custom_fields || {},
+        answers: formatAnswers(questions, b.custom_fields),
+        attendees: attendees.map(formatAttendee),
+        payment: payment && formatPayment(payment, b),
         googleMeetLink: b.google_meet_link,
         status: b.status,
         notes: b.notes,
+        outcomeNote: b.outcome_note,
+        outcomeRecordedAt: b.outcome_recorded_at,
+        calendarSync: {
+          // 'failed' once retries are exhausted
+          status: !b.calendar_sync_action ? 'synced' : b.calendar_sync_retry_at ? 'retrying' : 'failed',
+          pendingAction: b.calendar_sync_action,
+          error: b.calendar_sync_error,
+          attempts: b.calendar_sync_attempts,
+          nextRetryAt: b.calendar_sync_retry_at
+        },
         createdAt: b.created_at,
         updatedAt: b.updated_at
       }
@@ -323,7 +391,10 @@ router.get('/:bookingId', async (req, res, next) => {
 // Cancel booking
 router.put('/:bookingId/cancel', async (req, res, next) => {
   try {
-    const { reason } = req.body;
+    const validation = await validate(cancelBookingSchema, req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
 
     // Get booking details first
     const bookingResult = await pool.query(
@@ -337,102 +408,228 @@ router.put('/:bookingId/cancel', async (req, res, next) => {
     }
 
     const booking = bookingResult.rows[0];
+    const eventType = await getBookingEventType(booking);
 
-    // Get event type details for owner info
-    const eventResult = await pool.query(
-      `SELECT id, name, duration_minutes, user_id FROM event_types WHERE id = $1`,
-      [booking.event_type_id]
+    const cancelledBooking = await cancelBooking({
+      booking,
+      eventType,
+      reason: validation.data.reason,
+      actor: requestActor(req, 'owner')
+    });
+
+    res.json({
+      success: true,
+      message: 'Booking cancelled successfully',
+      booking: {
+        id: cancelledBooking.id,
+        status: cancelledBooking.status,
+        cancelledAt: cancelledBooking.cancelled_at
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reschedule booking
+router.put('/:bookingId/reschedule', async (req, res, next) => {
+  try {
+    const validation = await validate(rescheduleBookingSchema, req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
+
+    // Get current booking details
+    const bookingResult = await pool.query(
+      `SELECT id, event_type_id, user_id, guest_name, guest_email, scheduled_at, end_time, duration_minutes, google_meet_link
+       FROM bookings WHERE id = $1 AND user_id = $2 AND status = 'confirmed'`,
+      [req.params.bookingId, req.userId]
     );
 
-    const eventType = eventResult.rows[0];
+    if (bookingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const booking = bookingResult.rows[0];
+    const eventType = await getBookingEventType(booking);
 
-    // Cancel the booking
-    const cancelResult = await pool.query(
-      `UPDATE bookings SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, cancellation_reason = $1
-       WHERE id = $2 AND user_id = $3
-       RETURNING id, status, cancelled_at`,
-      [reason || null, req.params.bookingId, req.userId]
+    const updatedBooking = await rescheduleBooking({
+      booking,
+      eventType,
+      scheduledAt: validation.data.scheduled_at,
+      actor: requestActor(req, 'owner')
+    });
+
+    res.json({
+      success: true,
+      message: 'Booking rescheduled successfully',
+      booking: {
+        id: updatedBooking.id,
+        scheduledAt: updatedBooking.scheduled_at,
+        status: updatedBooking.status
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Approve a pending booking: creates the calendar event and confirms it to the guest
+router.put('/:bookingId/approve', async (req, res, next) => {
+  try {
+    const bookingResult = await pool.query(
+      'SELECT id, event_type_id, user_id FROM bookings WHERE id = $1 AND user_id = $2 AND status = $3 AND deleted_at IS NULL',
+      [req.params.bookingId, req.userId, 'pending']
     );
 
-    const cancelledBooking = cancelResult.rows[0];
+    if (bookingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Pending booking not found' });
+    }
+
+    const eventType = await getBookingEventType(bookingResult.rows[0]);
+    const booking = await approveBooking({ bookingId: req.params.bookingId, eventType, actor: requestActor(req, 'owner') });
 
-    // Re-release availability slots
-    try {
-      const bookingStart = new Date(booking.scheduled_at);
-      const dayOfWeek = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][bookingStart.getDay()];
-      const bookingStartTime = bookingStart.toTimeString().slice(0, 5);
+    res.json({
+      success: true,
+      message: 'Booking approved',
+      booking: {
+        id: booking.id,
+        scheduledAt: booking.scheduled_at,
+        status: booking.status,
+        googleMeetLink: booking.google_meet_link
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-      await pool.query(
-        `UPDATE availability_slots
-         SET is_active = TRUE, updated_at = CURRENT_TIMESTAMP
-         WHERE event_type_id = $1 AND day_of_week = $2
-         AND start_time = $3`,
-        [booking.event_type_id, dayOfWeek, bookingStartTime]
-      );
-      console.log(`✅ Availability slots re-released for cancelled booking ${req.params.bookingId}`);
-    } catch (slotError) {
-      console.error('Failed to re-release availability slots:', slotError);
+// Decline a pending booking and let the guest know
+router.put('/:bookingId/decline', async (req, res, next) => {
+  try {
+    const validation = await validate(declineBookingSchema, req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
     }
 
-    // Update analytics - record cancellation
-    try {
-      const today = new Date().toISOString().split('T')[0];
-      await pool.query(
-        `INSERT INTO analytics (user_id, event_type_id, action_type, cancellation_count, date)
-         VALUES ($1, $2, 'booking_cancelled', 1, $3)
-         ON CONFLICT (user_id, event_type_id, date)
-         DO UPDATE SET cancellation_count = COALESCE(cancellation_count, 0) + 1, updated_at = CURRENT_TIMESTAMP`,
-        [eventType.user_id, booking.event_type_id, today]
-      );
-      console.log(`✅ Analytics updated for cancelled booking ${req.params.bookingId}`);
-    } catch (analyticsError) {
-      console.error('Failed to update analytics:', analyticsError);
+    const bookingResult = await pool.query(
+      'SELECT id, event_type_id, user_id FROM bookings WHERE id = $1 AND user_id = $2 AND status = $3 AND deleted_at IS NULL',
+      [req.params.bookingId, req.userId, 'pending']
+    );
+
+    if (bookingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Pending booking not found' });
     }
 
-    // Send cancellation email to guest
-    try {
-      await sendCancellationNotice({
-        guestName: booking.guest_name,
-        guestEmail: booking.guest_email,
-        eventName: eventType.name,
-        scheduledAt: new Date(booking.scheduled_at),
-        reason: reason || 'The consultation has been cancelled'
-      });
-      console.log(`✅ Cancellation notice sent to ${booking.guest_email}`);
-    } catch (emailError) {
-      console.error('Failed to send cancellation email:', emailError);
+    const eventType = await getBookingEventType(bookingResult.rows[0]);
+    const booking = await declineBooking({
+      bookingId: req.params.bookingId,
+      eventType,
+      reason: validation.data.reason,
+      actor: requestActor(req, 'owner')
+    });
+
+    res.json({
+      success: true,
+      message: 'Booking declined',
+      booking: {
+        id: booking.id,
+        status: booking.status,
+        declinedAt: booking.declined_at
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Record whether a past meeting took place
+router.put('/:bookingId/outcome', async (req, res, next) => {
+  try {
+    const validation = await validate(bookingOutcomeSchema, req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
     }
 
-    // Send cancellation notification to owner
-    try {
-      const userResult = await pool.query(
-        `SELECT email FROM users WHERE id = $1`,
-        [eventType.user_id]
+    const bookingResult = await pool.query(
+      `SELECT id, event_type_id, user_id, scheduled_at, status, outcome_note
+       FROM bookings WHERE id = $1 AND user_id = $2 AND status IN ('confirmed', 'completed', 'no_show') AND deleted_at IS NULL`,
+      [req.params.bookingId, req.userId]
+    );
+
+    if (bookingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const booking = await recordBookingOutcome({
+      booking: bookingResult.rows[0],
+      outcome: validation.data.outcome,
+      note: validation.data.note,
+      actor: requestActor(req, 'owner')
+    });
+
+    res.json({
+      success: true,
+      message: 'Booking outcome recorded',
+      booking: {
+        id: booking.id,
+        status: booking.status,
+        outcomeNote: booking.outcome_note,
+        outcomeRecordedAt: booking.outcome_recorded_at
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update the owner's private notes on a booking
+router.put('/:bookingId/notes', async (req, res, next) => {
+  try {
+    const validation = await validate(bookingNotesSchema, req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
+
+    const booking = await withTransaction(async (client) => {
+      const before = await client.query(
+        'SELECT id, user_id, notes FROM bookings WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE',
+        [req.params.bookingId, req.userId]
       );
-      const ownerEmail = userResult.rows[0]?.email;
-
-      if (ownerEmail) {
-        await sendCancellationNotice({
-          guestName: `Booking Cancelled: ${booking.guest_name}`,
-          guestEmail: ownerEmail,
-          eventName: eventType.name,
-          scheduledAt: new Date(booking.scheduled_at),
-          reason: reason || 'A scheduled consultation has been cancelled',
-          isOwnerNotification: true
-        });
-        console.log(`✅ Cancellation notification sent to owner ${ownerEmail}`);
+      if (before.rows.length === 0) {
+        return null;
       }
-    } catch (emailError) {
-      console.error('Failed to send owner cancellation notification:', emailError);
+
+      const result = await client.query(
+        `UPDATE bookings SET notes = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id, notes, updated_at`,
+        [req.params.bookingId, validation.data.notes || null]
+      );
+
+      await recordAudit(client, {
+        userId: req.userId,
+        action: 'booking.notes_updated',
+        resourceType: 'booking',
+        resourceId: req.params.bookingId,
+        changes: diffChanges(before.rows[0], result.rows[0], ['notes']),
+        actor: requestActor(req, 'owner')
+      });
+
+      return result.rows[0];
+    });
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
     }
 
     res.json({
       success: true,
-      message: 'Booking cancelled successfully',
+      message: 'Booking notes updated',
       booking: {
-        id: cancelledBooking.id,
-        status: cancelledBooking.status,
-        cancelledAt: cancelledBooking.cancelled_at
+        id: booking.id,
+        notes: booking.notes,
+        updatedAt: booking.updated_at
       }
     });
   } catch (error) {
@@ -440,19 +637,17 @@ router.put('/:bookingId/cancel', async (req, res, next) => {
   }
 });
 
-// Reschedule booking
-router.put('/:bookingId/reschedule', async (req, res, next) => {
+// Add an attendee to an upcoming booking; they get the invite once it is confirmed
+router.post('/:bookingId/attendees', async (req, res, next) => {
   try {
-    const { scheduled_at } = req.body;
-
-    if (!scheduled_at) {
-      return res.status(400).json({ error: 'scheduled_at is required' });
+    const validation = await validate(attendeeSchema, req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
     }
 
-    // Get current booking details
     const bookingResult = await pool.query(
-      `SELECT id, event_type_id, user_id, guest_name, guest_email, scheduled_at, duration_minutes, google_meet_link
-       FROM bookings WHERE id = $1 AND user_id = $2 AND status = 'confirmed'`,
+      `SELECT id, event_type_id, user_id, guest_name, guest_email, scheduled_at, status
+       FROM bookings WHERE id = $1 AND user_id = $2 AND status IN ('confirmed', 'pending') AND deleted_at IS NULL`,
       [req.params.bookingId, req.userId]
     );
 
@@ -460,93 +655,79 @@ router.put('/:bookingId/reschedule', async (req, res, next) => {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    const oldBooking = bookingResult.rows[0];
-    const newEndTime = new Date(scheduled_at);
-    newEndTime.setMinutes(newEndTime.getMinutes() + oldBooking.duration_minutes);
+    const booking = bookingResult.rows[0];
+    const eventType = await getBookingEventType(booking);
 
-    // Check for conflicts at new time
-    const conflictCheck = await pool.query(
-      `SELECT id FROM bookings
-       WHERE event_type_id = $1 AND id != $2 AND status = 'confirmed'
-       AND scheduled_at < $3 AND end_time > $4`,
-      [oldBooking.event_type_id, req.params.bookingId, newEndTime.toISOString(), scheduled_at]
+    const attendee = await addAttendee({
+      booking,
+      eventType,
+      attendee: validation.data,
+      actor: requestActor(req, 'owner')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Attendee added',
+      attendee: formatAttendee(attendee)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove an attendee from an upcoming booking
+router.delete('/:bookingId/attendees/:attendeeId', async (req, res, next) => {
+  try {
+    const bookingResult = await pool.query(
+      `SELECT id, event_type_id, user_id, guest_name, guest_email, scheduled_at, status
+       FROM bookings WHERE id = $1 AND user_id = $2 AND status IN ('confirmed', 'pending') AND deleted_at IS NULL`,
+      [req.params.bookingId, req.userId]
     );
 
-    if (conflictCheck.rows.length > 0) {
-      return res.status(409).json({ error: 'This time slot is already booked' });
+    if (bookingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Booking not found' });
     }
 
-    // Re-release old time slot
-    try {
-      const oldStart = new Date(oldBooking.scheduled_at);
-      const oldDayOfWeek = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][oldStart.getDay()];
-      const oldStartTime = oldStart.toTimeString().slice(0, 5);
+    const booking = bookingResult.rows[0];
+    const eventType = await getBookingEventType(booking);
 
-      await pool.query(
-        `UPDATE availability_slots SET is_active = TRUE, updated_at = CURRENT_TIMESTAMP
-         WHERE event_type_id = $1 AND day_of_week = $2 AND start_time = $3`,
-        [oldBooking.event_type_id, oldDayOfWeek, oldStartTime]
-      );
-    } catch (slotError) {
-      console.error('Failed to re-release old slot:', slotError);
-    }
+    const removed = await removeAttendee({
+      booking,
+      eventType,
+      attendeeId: req.params.attendeeId,
+      actor: requestActor(req, 'owner')
+    });
 
-    // Book new time slot
-    try {
-      const newStart = new Date(scheduled_at);
-      const newDayOfWeek = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][newStart.getDay()];
-      const newStartTime = newStart.toTimeString().slice(0, 5);
-
-      await pool.query(
-        `UPDATE availability_slots SET is_active = FALSE, updated_at = CURRENT_TIMESTAMP
-         WHERE event_type_id = $1 AND day_of_week = $2
-         AND start_time < $3 AND end_time > $4`,
-        [oldBooking.event_type_id, newDayOfWeek, newEndTime.toTimeString().slice(0, 5), newStartTime]
-      );
-    } catch (slotError) {
-      console.error('Failed to book new slot:', slotError);
+    if (!removed) {
+      return res.status(404).json({ error: 'Attendee not found' });
     }
 
-    // Update booking with new time
-    const updateResult = await pool.query(
-      `UPDATE bookings SET scheduled_at = $1, end_time = $2, updated_at = CURRENT_TIMESTAMP
-       WHERE id = $3 RETURNING id, scheduled_at, status`,
-      [scheduled_at, newEndTime.toISOString(), req.params.bookingId]
-    );
-
-    const updatedBooking = updateResult.rows[0];
+    res.json({
+      success: true,
+      message: 'Attendee removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Get event details for email
-    const eventResult = await pool.query(
-      `SELECT name FROM event_types WHERE id = $1`,
-      [oldBooking.event_type_id]
+// Everything that happened to a booking, oldest first
+router.get('/:bookingId/history', async (req, res, next) => {
+  try {
+    const bookingResult = await pool.query(
+      'SELECT id FROM bookings WHERE id = $1 AND user_id = $2',
+      [req.params.bookingId, req.userId]
     );
-    const eventName = eventResult.rows[0]?.name || 'Consultation';
-
-    // Send rescheduling confirmation to guest
-    try {
-      await sendBookingConfirmation({
-        guestName: oldBooking.guest_name,
-        guestEmail: oldBooking.guest_email,
-        eventName: eventName,
-        scheduledAt: new Date(scheduled_at),
-        duration: oldBooking.duration_minutes,
-        meetLink: oldBooking.google_meet_link,
-        isRescheduleNotification: true
-      });
-      console.log(`✅ Reschedule confirmation sent to ${oldBooking.guest_email}`);
-    } catch (emailError) {
-      console.error('Failed to send reschedule email:', emailError);
+
+    if (bookingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Booking not found' });
     }
 
+    const history = await getBookingHistory(req.params.bookingId);
+
     res.json({
       success: true,
-      message: 'Booking rescheduled successfully',
-      booking: {
-        id: updatedBooking.id,
-        scheduledAt: updatedBooking.scheduled_at,
-        status: updatedBooking.status
-      }
+      history: history.map(formatAuditEntry)
     });
   } catch (error) {
     next(error);
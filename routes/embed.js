@@ -1,8 +1,52 @@
 import express from 'express';
 import { pool } from '../config/database.js';
+import { validate, slotQuerySchema, slotHoldSchema } from '../utils/validators.js';
+import { withAssignedHost, createSlotHold } from '../services/bookingService.js';
+import { getEventTypeQuestions, formatQuestion } from '../services/questionService.js';
+import { formatAmount } from '../services/paymentService.js';
+import { getBookableSlots, getEffectiveSchedule, MAX_SLOT_RANGE_DAYS } from '../services/availabilityService.js';
+import { isValidTimeZone, toZonedDateString, addDaysToDateString } from '../utils/timezone.js';
 
 const router = express.Router();
 
+const PUBLIC_EVENT_COLUMNS = `et.id, et.user_id, et.name, et.description, et.duration_minutes, et.color,
+       et.buffer_time_before, et.buffer_time_after, et.min_advance_notice_minutes, et.max_advance_booking_days,
+       et.requires_approval, et.max_additional_attendees, et.price, et.currency, et.seats_per_slot, et.assignment_strategy,
+       u.first_name, u.last_name, u.company_name, u.avatar_url, u.timezone AS owner_timezone`;
+
+// Look up an active event type by its public slug
+async function findPublicEventType(username) {
+  // Try exact slug match first, then try matching with UUID suffix
+  let eventResult = await pool.query(
+    `SELECT ${PUBLIC_EVENT_COLUMNS}
+     FROM event_types et
+     JOIN users u ON et.user_id = u.id
+     WHERE et.slug = $1 AND et.is_active = TRUE AND et.deleted_at IS NULL
+     LIMIT 1`,
+    [username]
+  );
+
+  console.log('Exact slug match found:', eventResult.rows.length);
+
+  // If not found and username looks like it might have a UUID suffix, try base slug
+  if (eventResult.rows.length === 0 && username.match(/-[a-f0-9]{8}$/)) {
+    const baseSlug = username.replace(/-[a-f0-9]{8}$/, '');
+    console.log('Trying base slug:', baseSlug);
+    eventResult = await pool.query(
+      `SELECT ${PUBLIC_EVENT_COLUMNS}
+       FROM event_types et
+       JOIN users u ON et.user_id = u.id
+       WHERE et.slug LIKE $1 AND et.is_active = TRUE AND et.deleted_at IS NULL
+       ORDER BY et.created_at DESC
+       LIMIT 1`,
+      [`${baseSlug}-%`]
+    );
+    console.log('Base slug match found:', eventResult.rows.length);
+  }
+
+  return eventResult.rows[0] || null;
+}
+
 // Generate embed code
 router.get('/:username/embed-code', async (req, res, next) => {
   try {
@@ -58,6 +102,90 @@ router.get('/:username/embed-code', async (req, res, next) => {
   }
 });
 
+// Bookable slots for a public booking page
+router.get('/:username/slots', async (req, res, next) => {
+  try {
+    const validation = await validate(slotQuerySchema, req.query);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
+
+    const event = await findPublicEventType(req.params.username);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const timeZone = validation.data.tz || event.owner_timezone || 'UTC';
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+
+    const from = validation.data.from || toZonedDateString(new Date(), timeZone);
+    const to = validation.data.to || addDaysToDateString(from, 6);
+
+    if (to < from) {
+      return res.status(400).json({ error: '"to" must not be before "from"' });
+    }
+
+    if (to > addDaysToDateString(from, MAX_SLOT_RANGE_DAYS - 1)) {
+      return res.status(400).json({ error: `Date range cannot exceed ${MAX_SLOT_RANGE_DAYS} days` });
+    }
+
+    const slots = await getBookableSlots(event, { from, to, timeZone });
+
+    res.json({
+      success: true,
+      eventTypeId: event.id,
+      durationMinutes: event.duration_minutes,
+      timezone: timeZone,
+      from,
+      to,
+      slots
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Temporarily reserve a slot while the guest fills in the booking form
+router.post('/:username/holds', async (req, res, next) => {
+  try {
+    const validation = await validate(slotHoldSchema, req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
+
+    const event = await findPublicEventType(req.params.username);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const startTime = new Date(validation.data.scheduled_at);
+    const endTime = new Date(startTime.getTime() + event.duration_minutes * 60 * 1000);
+
+    // A round-robin event type holds the slot with the host the booking will be assigned to
+    const hold = await withAssignedHost(event, { start: startTime, end: endTime }, (client, host) => createSlotHold(client, {
+      eventType: host,
+      start: startTime,
+      end: endTime,
+      guestEmail: validation.data.guest_email
+    }));
+
+    res.status(201).json({
+      success: true,
+      hold: {
+        token: hold.token,
+        eventTypeId: event.id,
+        scheduledAt: hold.scheduled_at,
+        endTime: hold.end_time,
+        expiresAt: hold.expires_at
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Public booking page
 router.get('/:username', async (req, res, next) => {
   try {
@@ -68,51 +196,19 @@ router.get('/:username', async (req, res, next) => {
       return res.status(400).json({ error: 'Username is required' });
     }
 
-    // Try exact slug match first, then try matching with UUID suffix
-    let eventResult = await pool.query(
-      `SELECT et.id, et.user_id, et.name, et.description, et.duration_minutes,
-              et.color, u.first_name, u.last_name, u.company_name, u.avatar_url
-       FROM event_types et
-       JOIN users u ON et.user_id = u.id
-       WHERE et.slug = $1 AND et.is_active = TRUE AND et.deleted_at IS NULL
-       LIMIT 1`,
-      [username]
-    );
-
-    console.log('Exact slug match found:', eventResult.rows.length);
-
-    // If not found and username looks like it might have a UUID suffix, try base slug
-    if (eventResult.rows.length === 0 && username.match(/-[a-f0-9]{8}$/)) {
-      const baseSlug = username.replace(/-[a-f0-9]{8}$/, '');
-      console.log('Trying base slug:', baseSlug);
-      eventResult = await pool.query(
-        `SELECT et.id, et.user_id, et.name, et.description, et.duration_minutes,
-                et.color, u.first_name, u.last_name, u.company_name, u.avatar_url
-         FROM event_types et
-         JOIN users u ON et.user_id = u.id
-         WHERE et.slug LIKE $1 AND et.is_active = TRUE AND et.deleted_at IS NULL
-         ORDER BY et.created_at DESC
-         LIMIT 1`,
-        [`${baseSlug}-%`]
-      );
-      console.log('Base slug match found:', eventResult.rows.length);
-    }
+    const event = await findPublicEventType(username);
 
-    if (eventResult.rows.length === 0) {
+    if (!event) {
       console.log('No event found for:', username);
       return res.status(404).json({ error: 'Event not found' });
     }
 
-    console.log('Event found:', eventResult.rows[0].name);
+    console.log('Event found:', event.name);
 
-    const event = eventResult.rows[0];
+    // Get the effective availability schedule
+    const effective = await getEffectiveSchedule(event.id);
 
-    // Get availability slots
-    const slotsResult = await pool.query(
-      `SELECT day_of_week, start_time, end_time FROM availability_slots
-       WHERE event_type_id = $1 AND is_active = TRUE`,
-      [event.id]
-    );
+    const questions = await getEventTypeQuestions(pool, event.id);
 
     // Get customization
     const customResult = await pool.query(
@@ -130,17 +226,32 @@ router.get('/:username', async (req, res, next) => {
         description: event.description,
         durationMinutes: event.duration_minutes,
         color: event.color,
+        requiresApproval: event.requires_approval,
+        maxAdditionalAttendees: event.max_additional_attendees,
+        price: formatAmount(event.price),
+        currency: event.currency,
+        seatsPerSlot: event.seats_per_slot,
         organizer: {
           firstName: event.first_name,
           lastName: event.last_name,
           companyName: event.company_name,
           avatarUrl: event.avatar_url
         },
-        availabilitySlots: slotsResult.rows.map(s => ({
-          dayOfWeek: s.day_of_week,
-          startTime: s.start_time,
-          endTime: s.end_time
+        timezone: effective.timezone,
+        schedule: effective.schedule && {
+          id: effective.schedule.id,
+          name: effective.schedule.name,
+          timezone: effective.schedule.timezone
+        },
+        availabilitySlots: effective.rules.map(r => ({
+          dayOfWeek: r.dayOfWeek,
+          startTime: r.startTime,
+          endTime: r.endTime
         })),
+        questions: questions.map(q => {
+          const { id, position, ...question } = formatQuestion(q);
+          return question;
+        }),
         customization: {
           title: customization.title,
           description: customization.description,
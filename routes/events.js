@@ -1,11 +1,77 @@
 import express from 'express';
-import { pool } from '../config/database.js';
-import { validate, eventTypeSchema, availabilitySlotSchema } from '../utils/validators.js';
+import { pool, withTransaction } from '../config/database.js';
+import {
+  validate,
+  eventTypeSchema,
+  availabilitySlotSchema,
+  eventNotificationsSchema,
+  eventQuestionsSchema,
+  eventHostsSchema
+} from '../utils/validators.js';
 import { v4 as uuidv4 } from 'uuid';
 import slug from 'slug';
+import { getEffectiveSchedule } from '../services/availabilityService.js';
+import {
+  DEFAULT_NOTIFICATIONS,
+  getEventTypeNotifications,
+  replaceEventTypeNotifications,
+  resyncEventTypeReminders
+} from '../services/reminderService.js';
+import { getEventTypeQuestions, replaceEventTypeQuestions, formatQuestion } from '../services/questionService.js';
+import { recordAudit, diffChanges, requestActor } from '../services/auditService.js';
+import { formatAmount } from '../services/paymentService.js';
+import { isPaymentConfigured } from '../services/paymentProviders/index.js';
+import { getEventTypeHosts, replaceEventTypeHosts, formatHost } from '../services/hostService.js';
 
 const router = express.Router();
 
+// Whether a schedule exists and belongs to the user
+async function ownsSchedule(scheduleId, userId) {
+  const result = await pool.query(
+    'SELECT id FROM schedules WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+    [scheduleId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+// Paid bookings are confirmed by the payment, so a paid event type cannot also wait for approval
+function paidApprovalErrors(price, requiresApproval) {
+  return price > 0 && requiresApproval
+    ? [{ field: 'requires_approval', message: 'Paid event types cannot require approval' }]
+    : null;
+}
+
+function paymentProviderErrors(price) {
+  return price > 0 && !isPaymentConfigured()
+    ? [{ field: 'price', message: 'Paid event types need a payment provider, and none is configured' }]
+    : null;
+}
+
+// The seats of a group session share one meeting with one host, so group event types cannot be round-robin
+function groupRoundRobinErrors(field, seatsPerSlot, assignmentStrategy) {
+  return seatsPerSlot > 1 && assignmentStrategy
+    ? [{ field, message: 'Group event types cannot be assigned to hosts round-robin' }]
+    : null;
+}
+
+function formatNotification(n) {
+  return {
+    id: n.id,
+    relativeTo: n.relative_to,
+    timing: n.timing,
+    offsetMinutes: n.offset_minutes,
+    channel: n.channel,
+    template: n.template
+  };
+}
+
+// Event type settings recorded in the audit log
+const EVENT_TYPE_AUDIT_FIELDS = [
+  'name', 'description', 'slug', 'duration_minutes', 'color', 'location_type', 'custom_location',
+  'buffer_time_before', 'buffer_time_after', 'is_active', 'schedule_id', 'max_bookings_per_day',
+  'max_bookings_per_week', 'requires_approval', 'approval_window_hours', 'max_additional_attendees', 'price', 'currency', 'seats_per_slot'
+];
+
 // Create event type
 router.post('/', async (req, res, next) => {
   try {
@@ -14,7 +80,16 @@ router.post('/', async (req, res, next) => {
       return res.status(400).json({ errors: validation.errors });
     }
 
-    const { name, description, duration_minutes, color, location_type, custom_location, buffer_time_before, buffer_time_after, min_advance_notice_minutes, max_advance_booking_days } = validation.data;
+    const { name, description, duration_minutes, color, location_type, custom_location, buffer_time_before, buffer_time_after, min_advance_notice_minutes, max_advance_booking_days, schedule_id, max_bookings_per_day, max_bookings_per_week, requires_approval, approval_window_hours, max_additional_attendees, price, currency, seats_per_slot } = validation.data;
+
+    const priceErrors = paymentProviderErrors(price) || paidApprovalErrors(price, requires_approval);
+    if (priceErrors) {
+      return res.status(400).json({ errors: priceErrors });
+    }
+
+    if (schedule_id && !(await ownsSchedule(schedule_id, req.userId))) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
 
     // Generate slug from name
     const eventSlug = slug(name).toLowerCase();
@@ -31,12 +106,26 @@ router.post('/', async (req, res, next) => {
     }
 
     const eventId = uuidv4();
-    const result = await pool.query(
-      `INSERT INTO event_types (id, user_id, name, description, slug, duration_minutes, color, location_type, custom_location, buffer_time_before, buffer_time_after, min_advance_notice_minutes, max_advance_booking_days)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-       RETURNING id, user_id, name, description, slug, duration_minutes, color, location_type, custom_location, is_active, created_at`,
-      [eventId, req.userId, name, description, finalSlug, duration_minutes, color, location_type, custom_location, buffer_time_before, buffer_time_after, min_advance_notice_minutes, max_advance_booking_days]
-    );
+    const result = await withTransaction(async (client) => {
+      const insertResult = await client.query(
+        `INSERT INTO event_types (id, user_id, name, description, slug, duration_minutes, color, location_type, custom_location, buffer_time_before, buffer_time_after, min_advance_notice_minutes, max_advance_booking_days, schedule_id, max_bookings_per_day, max_bookings_per_week, requires_approval, approval_window_hours, max_additional_attendees, price, currency, seats_per_slot)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, COALESCE($18, 24), $19, $20, COALESCE($21, 'USD'), $22)
+         RETURNING id, user_id, name, description, slug, duration_minutes, color, location_type, custom_location, is_active, schedule_id, requires_approval, approval_window_hours, max_additional_attendees, price, currency, seats_per_slot, assignment_strategy, created_at`,
+        [eventId, req.userId, name, description, finalSlug, duration_minutes, color, location_type, custom_location, buffer_time_before, buffer_time_after, min_advance_notice_minutes, max_advance_booking_days, schedule_id || null, max_bookings_per_day || null, max_bookings_per_week || null, requires_approval || false, approval_window_hours, max_additional_attendees || 0, price ?? null, currency, seats_per_slot || 1]
+      );
+
+      await replaceEventTypeNotifications(client, eventId, DEFAULT_NOTIFICATIONS);
+      await recordAudit(client, {
+        userId: req.userId,
+        action: 'event_type.created',
+        resourceType: 'event_type',
+        resourceId: eventId,
+        changes: diffChanges({}, insertResult.rows[0], EVENT_TYPE_AUDIT_FIELDS),
+        actor: requestActor(req, 'owner')
+      });
+
+      return insertResult;
+    });
 
     const event = result.rows[0];
     res.status(201).json({
@@ -52,6 +141,14 @@ router.post('/', async (req, res, next) => {
         locationType: event.location_type,
         customLocation: event.custom_location,
         isActive: event.is_active,
+        scheduleId: event.schedule_id,
+        requiresApproval: event.requires_approval,
+        approvalWindowHours: event.approval_window_hours,
+        maxAdditionalAttendees: event.max_additional_attendees,
+        price: formatAmount(event.price),
+        currency: event.currency,
+        seatsPerSlot: event.seats_per_slot,
+        assignmentStrategy: event.assignment_strategy,
         createdAt: event.created_at
       }
     });
@@ -64,7 +161,7 @@ router.post('/', async (req, res, next) => {
 router.get('/', async (req, res, next) => {
   try {
     const result = await pool.query(
-      `SELECT id, name, description, slug, duration_minutes, color, location_type, custom_location, is_active, created_at, updated_at
+      `SELECT id, name, description, slug, duration_minutes, color, location_type, custom_location, is_active, schedule_id, price, currency, seats_per_slot, assignment_strategy, created_at, updated_at
        FROM event_types WHERE user_id = $1 AND deleted_at IS NULL
        ORDER BY created_at DESC`,
       [req.userId]
@@ -80,6 +177,11 @@ router.get('/', async (req, res, next) => {
       locationType: e.location_type,
       customLocation: e.custom_location,
       isActive: e.is_active,
+      scheduleId: e.schedule_id,
+      price: formatAmount(e.price),
+      currency: e.currency,
+      seatsPerSlot: e.seats_per_slot,
+      assignmentStrategy: e.assignment_strategy,
       createdAt: e.created_at,
       updatedAt: e.updated_at
     }));
@@ -98,7 +200,7 @@ router.get('/', async (req, res, next) => {
 router.get('/:eventId', async (req, res, next) => {
   try {
     const result = await pool.query(
-      `SELECT id, user_id, name, description, slug, duration_minutes, color, location_type, custom_location, is_active, buffer_time_before, buffer_time_after, min_advance_notice_minutes, max_advance_booking_days, created_at, updated_at
+      `SELECT id, user_id, name, description, slug, duration_minutes, color, location_type, custom_location, is_active, buffer_time_before, buffer_time_after, min_advance_notice_minutes, max_advance_booking_days, schedule_id, max_bookings_per_day, max_bookings_per_week, requires_approval, approval_window_hours, max_additional_attendees, price, currency, seats_per_slot, assignment_strategy, created_at, updated_at
        FROM event_types WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL`,
       [req.params.eventId, req.userId]
     );
@@ -122,6 +224,16 @@ router.get('/:eventId', async (req, res, next) => {
       bufferTimeAfter: e.buffer_time_after,
       minAdvanceNoticeMinutes: e.min_advance_notice_minutes,
       maxAdvanceBookingDays: e.max_advance_booking_days,
+      scheduleId: e.schedule_id,
+      maxBookingsPerDay: e.max_bookings_per_day,
+      maxBookingsPerWeek: e.max_bookings_per_week,
+      requiresApproval: e.requires_approval,
+      approvalWindowHours: e.approval_window_hours,
+      maxAdditionalAttendees: e.max_additional_attendees,
+      price: formatAmount(e.price),
+      currency: e.currency,
+      seatsPerSlot: e.seats_per_slot,
+      assignmentStrategy: e.assignment_strategy,
       createdAt: e.created_at,
       updatedAt: e.updated_at
     };
@@ -143,23 +255,74 @@ router.put('/:eventId', async (req, res, next) => {
       return res.status(400).json({ errors: validation.errors });
     }
 
-    const { name, description, duration_minutes, color, location_type, custom_location, buffer_time_before, buffer_time_after } = validation.data;
+    const { name, description, duration_minutes, color, location_type, custom_location, buffer_time_before, buffer_time_after, schedule_id, max_bookings_per_day, max_bookings_per_week, requires_approval, approval_window_hours, max_additional_attendees, price, currency, seats_per_slot } = validation.data;
+
+    if (price !== undefined || requires_approval !== undefined || seats_per_slot !== undefined) {
+      const currentResult = await pool.query(
+        'SELECT price, requires_approval, assignment_strategy FROM event_types WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+        [req.params.eventId, req.userId]
+      );
+      const current = currentResult.rows[0];
+      const settingErrors = current && (
+        paymentProviderErrors(price) ||
+        paidApprovalErrors(price ?? parseFloat(current.price), requires_approval ?? current.requires_approval) ||
+        groupRoundRobinErrors('seats_per_slot', seats_per_slot, current.assignment_strategy)
+      );
+      if (settingErrors) {
+        return res.status(400).json({ errors: settingErrors });
+      }
+    }
 
-    const result = await pool.query(
-      `UPDATE event_types
-       SET name = COALESCE($1, name),
-           description = COALESCE($2, description),
-           duration_minutes = COALESCE($3, duration_minutes),
-           color = COALESCE($4, color),
-           location_type = COALESCE($5, location_type),
-           custom_location = COALESCE($6, custom_location),
-           buffer_time_before = COALESCE($7, buffer_time_before),
-           buffer_time_after = COALESCE($8, buffer_time_after),
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $9 AND user_id = $10 AND deleted_at IS NULL
-       RETURNING id, name, description, slug, duration_minutes, color, location_type, custom_location, is_active`,
-      [name, description, duration_minutes, color, location_type, custom_location, buffer_time_before, buffer_time_after, req.params.eventId, req.userId]
-    );
+    if (schedule_id && !(await ownsSchedule(schedule_id, req.userId))) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const before = await client.query(
+        'SELECT * FROM event_types WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE',
+        [req.params.eventId, req.userId]
+      );
+      if (before.rows.length === 0) {
+        return before;
+      }
+
+      // Omitted fields are kept; an explicit null schedule_id falls back to the default schedule, as PUT /:eventId/schedule does
+      const updateResult = await client.query(
+        `UPDATE event_types
+         SET name = COALESCE($1, name),
+             description = COALESCE($2, description),
+             duration_minutes = COALESCE($3, duration_minutes),
+             color = COALESCE($4, color),
+             location_type = COALESCE($5, location_type),
+             custom_location = COALESCE($6, custom_location),
+             buffer_time_before = COALESCE($7, buffer_time_before),
+             buffer_time_after = COALESCE($8, buffer_time_after),
+             schedule_id = CASE WHEN $20 THEN $9::uuid ELSE schedule_id END,
+             max_bookings_per_day = COALESCE($10, max_bookings_per_day),
+             max_bookings_per_week = COALESCE($11, max_bookings_per_week),
+             requires_approval = COALESCE($12, requires_approval),
+             approval_window_hours = COALESCE($13, approval_window_hours),
+             max_additional_attendees = COALESCE($14, max_additional_attendees),
+             price = COALESCE($15, price),
+             currency = COALESCE($16, currency),
+             seats_per_slot = COALESCE($17, seats_per_slot),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $18 AND user_id = $19 AND deleted_at IS NULL
+         RETURNING id, name, description, slug, duration_minutes, color, location_type, custom_location, buffer_time_before, buffer_time_after, is_active, schedule_id, max_bookings_per_day, max_bookings_per_week, requires_approval, approval_window_hours, max_additional_attendees, price, currency, seats_per_slot, assignment_strategy`,
+        [name, description, duration_minutes, color, location_type, custom_location, buffer_time_before, buffer_time_after, schedule_id ?? null, max_bookings_per_day, max_bookings_per_week, requires_approval, approval_window_hours, max_additional_attendees, price, currency, seats_per_slot, req.params.eventId, req.userId, schedule_id !== undefined]
+      );
+
+      await recordAudit(client, {
+        userId: req.userId,
+        action: 'event_type.updated',
+        resourceType: 'event_type',
+        resourceId: req.params.eventId,
+        changes: diffChanges(before.rows[0], updateResult.rows[0], EVENT_TYPE_AUDIT_FIELDS),
+        actor: requestActor(req, 'owner')
+      });
+
+      return updateResult;
+    });
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Event type not found' });
@@ -178,7 +341,17 @@ router.put('/:eventId', async (req, res, next) => {
         color: event.color,
         locationType: event.location_type,
         customLocation: event.custom_location,
-        isActive: event.is_active
+        isActive: event.is_active,
+        scheduleId: event.schedule_id,
+        maxBookingsPerDay: event.max_bookings_per_day,
+        maxBookingsPerWeek: event.max_bookings_per_week,
+        requiresApproval: event.requires_approval,
+        approvalWindowHours: event.approval_window_hours,
+        maxAdditionalAttendees: event.max_additional_attendees,
+        price: formatAmount(event.price),
+        currency: event.currency,
+        seatsPerSlot: event.seats_per_slot,
+        assignmentStrategy: event.assignment_strategy
       }
     });
   } catch (error) {
@@ -189,10 +362,25 @@ router.put('/:eventId', async (req, res, next) => {
 // Delete event type
 router.delete('/:eventId', async (req, res, next) => {
   try {
-    const result = await pool.query(
-      'UPDATE event_types SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 RETURNING id',
-      [req.params.eventId, req.userId]
-    );
+    const result = await withTransaction(async (client) => {
+      const deleteResult = await client.query(
+        'UPDATE event_types SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 RETURNING id, deleted_at',
+        [req.params.eventId, req.userId]
+      );
+
+      if (deleteResult.rows.length > 0) {
+        await recordAudit(client, {
+          userId: req.userId,
+          action: 'event_type.deleted',
+          resourceType: 'event_type',
+          resourceId: req.params.eventId,
+          changes: diffChanges({}, deleteResult.rows[0], ['deleted_at']),
+          actor: requestActor(req, 'owner')
+        });
+      }
+
+      return deleteResult;
+    });
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Event type not found' });
@@ -207,7 +395,310 @@ router.delete('/:eventId', async (req, res, next) => {
   }
 });
 
-// Add availability slot
+// Assign a schedule to an event type (null falls back to the default schedule)
+router.put('/:eventId/schedule', async (req, res, next) => {
+  try {
+    const scheduleId = req.body.schedule_id || null;
+
+    if (scheduleId && !(await ownsSchedule(scheduleId, req.userId))) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const before = await client.query(
+        'SELECT schedule_id FROM event_types WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE',
+        [req.params.eventId, req.userId]
+      );
+      if (before.rows.length === 0) {
+        return before;
+      }
+
+      const updateResult = await client.query(
+        `UPDATE event_types SET schedule_id = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING id, schedule_id`,
+        [scheduleId, req.params.eventId]
+      );
+
+      await recordAudit(client, {
+        userId: req.userId,
+        action: 'event_type.updated',
+        resourceType: 'event_type',
+        resourceId: req.params.eventId,
+        changes: diffChanges(before.rows[0], updateResult.rows[0], ['schedule_id']),
+        actor: requestActor(req, 'owner')
+      });
+
+      return updateResult;
+    });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Event type not found' });
+    }
+
+    const effective = await getEffectiveSchedule(req.params.eventId);
+
+    res.json({
+      success: true,
+      message: 'Event type schedule updated',
+      timezone: effective.timezone,
+      schedule: effective.schedule,
+      effectiveSlots: effective.rules
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the event type's reminder and follow-up schedule
+router.get('/:eventId/notifications', async (req, res, next) => {
+  try {
+    const eventCheck = await pool.query(
+      'SELECT id FROM event_types WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [req.params.eventId, req.userId]
+    );
+
+    if (eventCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Event type not found' });
+    }
+
+    const notifications = await getEventTypeNotifications(pool, req.params.eventId);
+
+    res.json({
+      success: true,
+      notifications: notifications.map(formatNotification)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the event type's reminder and follow-up schedule; upcoming bookings pick up the change
+router.put('/:eventId/notifications', async (req, res, next) => {
+  try {
+    const validation = await validate(eventNotificationsSchema, req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
+
+    const eventCheck = await pool.query(
+      'SELECT id FROM event_types WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [req.params.eventId, req.userId]
+    );
+
+    if (eventCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Event type not found' });
+    }
+
+    const notifications = await withTransaction(async (client) => {
+      const before = await getEventTypeNotifications(client, req.params.eventId);
+      await replaceEventTypeNotifications(client, req.params.eventId, validation.data.notifications);
+      await resyncEventTypeReminders(client, req.params.eventId);
+      const after = await getEventTypeNotifications(client, req.params.eventId);
+
+      await recordAudit(client, {
+        userId: req.userId,
+        action: 'event_type.notifications_updated',
+        resourceType: 'event_type',
+        resourceId: req.params.eventId,
+        changes: diffChanges(
+          { notifications: before.map(({ id, ...n }) => n) },
+          { notifications: after.map(({ id, ...n }) => n) }
+        ),
+        actor: requestActor(req, 'owner')
+      });
+
+      return after;
+    });
+
+    res.json({
+      success: true,
+      message: 'Notifications updated',
+      notifications: notifications.map(formatNotification)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the questions guests answer when booking
+router.get('/:eventId/questions', async (req, res, next) => {
+  try {
+    const eventCheck = await pool.query(
+      'SELECT id FROM event_types WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [req.params.eventId, req.userId]
+    );
+
+    if (eventCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Event type not found' });
+    }
+
+    const questions = await getEventTypeQuestions(pool, req.params.eventId);
+
+    res.json({
+      success: true,
+      questions: questions.map(formatQuestion)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the booking questions; answers of existing bookings are kept under their keys
+router.put('/:eventId/questions', async (req, res, next) => {
+  try {
+    const validation = await validate(eventQuestionsSchema, req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
+
+    const eventCheck = await pool.query(
+      'SELECT id FROM event_types WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [req.params.eventId, req.userId]
+    );
+
+    if (eventCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Event type not found' });
+    }
+
+    const questions = await withTransaction(async (client) => {
+      const before = await getEventTypeQuestions(client, req.params.eventId);
+      await replaceEventTypeQuestions(client, req.params.eventId, validation.data.questions);
+      const after = await getEventTypeQuestions(client, req.params.eventId);
+
+      await recordAudit(client, {
+        userId: req.userId,
+        action: 'event_type.questions_updated',
+        resourceType: 'event_type',
+        resourceId: req.params.eventId,
+        changes: diffChanges(
+          { questions: before.map(({ id, ...q }) => q) },
+          { questions: after.map(({ id, ...q }) => q) }
+        ),
+        actor: requestActor(req, 'owner')
+      });
+
+      return after;
+    });
+
+    res.json({
+      success: true,
+      message: 'Questions updated',
+      questions: questions.map(formatQuestion)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the hosts a round-robin event type assigns its bookings to
+router.get('/:eventId/hosts', async (req, res, next) => {
+  try {
+    const eventCheck = await pool.query(
+      'SELECT id, assignment_strategy FROM event_types WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [req.params.eventId, req.userId]
+    );
+
+    if (eventCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Event type not found' });
+    }
+
+    const hosts = await getEventTypeHosts(pool, req.params.eventId);
+
+    res.json({
+      success: true,
+      strategy: eventCheck.rows[0].assignment_strategy,
+      hosts: hosts.map(formatHost)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the hosts and assignment strategy; existing bookings stay with the host they were assigned to.
+// Hosts other than the owner are invited and take bookings once they accept (see routes/users.js).
+router.put('/:eventId/hosts', async (req, res, next) => {
+  try {
+    const validation = await validate(eventHostsSchema, req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
+
+    const { hosts } = validation.data;
+    const strategy = hosts.length > 0 ? validation.data.strategy : null;
+
+    const eventCheck = await pool.query(
+      'SELECT id, seats_per_slot FROM event_types WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [req.params.eventId, req.userId]
+    );
+
+    if (eventCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Event type not found' });
+    }
+
+    const groupErrors = groupRoundRobinErrors('strategy', eventCheck.rows[0].seats_per_slot, strategy);
+    if (groupErrors) {
+      return res.status(400).json({ errors: groupErrors });
+    }
+
+    // Hosts are existing users, looked up by email
+    const userResult = await pool.query(
+      'SELECT id, LOWER(email) AS email FROM users WHERE LOWER(email) = ANY($1::text[])',
+      [hosts.map(h => h.email.toLowerCase())]
+    );
+    const userIds = new Map(userResult.rows.map(u => [u.email, u.id]));
+
+    const unknownErrors = hosts
+      .map((h, index) => userIds.has(h.email.toLowerCase()) ? null : { field: `hosts.${index}.email`, message: 'No user with this email exists' })
+      .filter(Boolean);
+    if (unknownErrors.length > 0) {
+      return res.status(400).json({ errors: unknownErrors });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const before = await client.query(
+        'SELECT assignment_strategy FROM event_types WHERE id = $1 FOR UPDATE',
+        [req.params.eventId]
+      );
+      const beforeHosts = await getEventTypeHosts(client, req.params.eventId);
+
+      await replaceEventTypeHosts(client, req.params.eventId, req.userId, hosts.map(h => ({
+        userId: userIds.get(h.email.toLowerCase()),
+        weight: h.weight
+      })));
+      await client.query(
+        'UPDATE event_types SET assignment_strategy = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [strategy, req.params.eventId]
+      );
+      const afterHosts = await getEventTypeHosts(client, req.params.eventId);
+
+      await recordAudit(client, {
+        userId: req.userId,
+        action: 'event_type.hosts_updated',
+        resourceType: 'event_type',
+        resourceId: req.params.eventId,
+        changes: diffChanges(
+          { strategy: before.rows[0].assignment_strategy, hosts: beforeHosts.map(h => ({ email: h.email, weight: h.weight })) },
+          { strategy, hosts: afterHosts.map(h => ({ email: h.email, weight: h.weight })) }
+        ),
+        actor: requestActor(req, 'owner')
+      });
+
+      return afterHosts;
+    });
+
+    res.json({
+      success: true,
+      message: 'Hosts updated',
+      strategy,
+      hosts: result.map(formatHost)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add availability slot (overrides the schedule on that weekday)
 router.post('/:eventId/availability', async (req, res, next) => {
   try {
     const validation = await validate(availabilitySlotSchema, req.body);
@@ -228,12 +719,25 @@ router.post('/:eventId/availability', async (req, res, next) => {
     }
 
     const slotId = uuidv4();
-    const result = await pool.query(
-      `INSERT INTO availability_slots (id, event_type_id, day_of_week, start_time, end_time)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, day_of_week, start_time, end_time, is_active`,
-      [slotId, req.params.eventId, day_of_week, start_time, end_time]
-    );
+    const result = await withTransaction(async (client) => {
+      const insertResult = await client.query(
+        `INSERT INTO availability_slots (id, event_type_id, day_of_week, start_time, end_time)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, day_of_week, start_time, end_time, is_active`,
+        [slotId, req.params.eventId, day_of_week, start_time, end_time]
+      );
+
+      await recordAudit(client, {
+        userId: req.userId,
+        action: 'event_type.availability_added',
+        resourceType: 'event_type',
+        resourceId: req.params.eventId,
+        changes: diffChanges({}, insertResult.rows[0], ['id', 'day_of_week', 'start_time', 'end_time']),
+        actor: requestActor(req, 'owner')
+      });
+
+      return insertResult;
+    });
 
     const slot = result.rows[0];
     res.status(201).json({
@@ -255,6 +759,15 @@ router.post('/:eventId/availability', async (req, res, next) => {
 // Get availability slots
 router.get('/:eventId/availability', async (req, res, next) => {
   try {
+    const eventCheck = await pool.query(
+      'SELECT id FROM event_types WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [req.params.eventId, req.userId]
+    );
+
+    if (eventCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Event type not found' });
+    }
+
     const result = await pool.query(
       `SELECT id, day_of_week, start_time, end_time, is_active
        FROM availability_slots WHERE event_type_id = $1 AND is_active = TRUE
@@ -279,9 +792,15 @@ router.get('/:eventId/availability', async (req, res, next) => {
       isActive: s.is_active
     }));
 
+    // Rules are wall-clock times in the effective schedule's time zone
+    const effective = await getEffectiveSchedule(req.params.eventId);
+
     res.json({
       success: true,
-      slots
+      timezone: effective.timezone,
+      schedule: effective.schedule,
+      slots,
+      effectiveSlots: effective.rules
     });
   } catch (error) {
     next(error);
@@ -291,10 +810,29 @@ router.get('/:eventId/availability', async (req, res, next) => {
 // Delete availability slot
 router.delete('/availability/:slotId', async (req, res, next) => {
   try {
-    const result = await pool.query(
-      'UPDATE availability_slots SET is_active = FALSE WHERE id = $1 RETURNING id',
-      [req.params.slotId]
-    );
+    const result = await withTransaction(async (client) => {
+      const deleteResult = await client.query(
+        `DELETE FROM availability_slots s
+         USING event_types et
+         WHERE s.id = $1 AND s.event_type_id = et.id AND et.user_id = $2
+         RETURNING s.id, s.event_type_id, s.day_of_week, s.start_time, s.end_time`,
+        [req.params.slotId, req.userId]
+      );
+
+      const slot = deleteResult.rows[0];
+      if (slot) {
+        await recordAudit(client, {
+          userId: req.userId,
+          action: 'event_type.availability_removed',
+          resourceType: 'event_type',
+          resourceId: slot.event_type_id,
+          changes: diffChanges(slot, {}, ['id', 'day_of_week', 'start_time', 'end_time']),
+          actor: requestActor(req, 'owner')
+        });
+      }
+
+      return deleteResult;
+    });
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Availability slot not found' });
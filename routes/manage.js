@@ -0,0 +1,193 @@
+import express from 'express';
+import { pool } from '../config/database.js';
+import { validate, cancelBookingSchema, rescheduleBookingSchema } from '../utils/validators.js';
+import { verifyManageToken } from '../utils/jwt.js';
+import { bookingInvite } from '../utils/ics.js';
+import {
+  getBookingEventType,
+  getCancellationPolicy,
+  getGuestChangeRestriction,
+  cancelBooking,
+  rescheduleBooking
+} from '../services/bookingService.js';
+import { requestActor } from '../services/auditService.js';
+
+const router = express.Router();
+
+// Resolve a signed manage link to its booking; null when the link is invalid, expired or the booking is gone
+async function findManagedBooking(token) {
+  const decoded = verifyManageToken(token);
+  if (!decoded) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `SELECT b.id, b.event_type_id, b.user_id, b.guest_name, b.guest_email, b.guest_timezone, b.scheduled_at,
+            b.end_time, b.duration_minutes, b.description, b.google_meet_link, b.status, b.ics_sequence,
+            et.name AS event_name, et.slug AS event_slug, u.email AS owner_email, u.first_name, u.last_name, u.company_name
+     FROM bookings b
+     JOIN event_types et ON et.id = b.event_type_id
+     JOIN users u ON u.id = b.user_id
+     WHERE b.id = $1 AND b.deleted_at IS NULL`,
+    [decoded.bookingId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Load the booking and check the owner's policy before a guest change. A reschedule passes its
+ * `newStart`, which must leave the same notice, so a guest cannot move a booking closer than they could change it.
+ */
+async function findChangeableBooking(req, res, newStart = null) {
+  const booking = await findManagedBooking(req.params.token);
+  if (!booking) {
+    res.status(404).json({ error: 'This link is invalid or has expired' });
+    return null;
+  }
+
+  const policy = await getCancellationPolicy(booking.user_id);
+  const restriction = getGuestChangeRestriction(booking, policy) ||
+    (newStart && getGuestChangeRestriction({ ...booking, scheduled_at: newStart }, policy));
+  if (restriction) {
+    res.status(403).json({ error: restriction });
+    return null;
+  }
+
+  return booking;
+}
+
+// View a booking from a manage link
+router.get('/:token', async (req, res, next) => {
+  try {
+    const booking = await findManagedBooking(req.params.token);
+    if (!booking) {
+      return res.status(404).json({ error: 'This link is invalid or has expired' });
+    }
+
+    const policy = await getCancellationPolicy(booking.user_id);
+    const restriction = getGuestChangeRestriction(booking, policy);
+
+    res.json({
+      success: true,
+      booking: {
+        id: booking.id,
+        eventName: booking.event_name,
+        eventSlug: booking.event_slug,
+        organizer: {
+          firstName: booking.first_name,
+          lastName: booking.last_name,
+          companyName: booking.company_name
+        },
+        guestName: booking.guest_name,
+        guestEmail: booking.guest_email,
+        guestTimezone: booking.guest_timezone,
+        scheduledAt: booking.scheduled_at,
+        endTime: booking.end_time,
+        duration: booking.duration_minutes,
+        googleMeetLink: booking.google_meet_link,
+        status: booking.status
+      },
+      policy: {
+        canCancel: !restriction,
+        canReschedule: !restriction,
+        restriction,
+        cancellationNoticeHours: policy.cancellationNoticeHours
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download the booking as an .ics file (the Apple Calendar link in booking emails)
+router.get('/:token/calendar.ics', async (req, res, next) => {
+  try {
+    const booking = await findManagedBooking(req.params.token);
+    if (!booking) {
+      return res.status(404).json({ error: 'This link is invalid or has expired' });
+    }
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `inline; filename="${booking.event_slug || 'booking'}.ics"`
+    });
+    res.send(bookingInvite({
+      booking,
+      eventName: booking.event_name,
+      organizerEmail: booking.owner_email,
+      organizerName: [booking.first_name, booking.last_name].filter(Boolean).join(' ')
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancel a booking from a manage link
+router.put('/:token/cancel', async (req, res, next) => {
+  try {
+    const validation = await validate(cancelBookingSchema, req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
+
+    const booking = await findChangeableBooking(req, res);
+    if (!booking) return;
+
+    const eventType = await getBookingEventType(booking);
+    const cancelledBooking = await cancelBooking({
+      booking,
+      eventType,
+      reason: validation.data.reason || 'Cancelled by the guest',
+      actor: requestActor(req, 'guest')
+    });
+
+    res.json({
+      success: true,
+      message: 'Booking cancelled successfully',
+      booking: {
+        id: cancelledBooking.id,
+        status: cancelledBooking.status,
+        cancelledAt: cancelledBooking.cancelled_at
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reschedule a booking from a manage link
+router.put('/:token/reschedule', async (req, res, next) => {
+  try {
+    const validation = await validate(rescheduleBookingSchema, req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
+
+    const booking = await findChangeableBooking(req, res, validation.data.scheduled_at);
+    if (!booking) return;
+
+    const eventType = await getBookingEventType(booking);
+    const updatedBooking = await rescheduleBooking({
+      booking,
+      eventType,
+      scheduledAt: validation.data.scheduled_at,
+      actor: requestActor(req, 'guest')
+    });
+
+    res.json({
+      success: true,
+      message: 'Booking rescheduled successfully',
+      booking: {
+        id: updatedBooking.id,
+        scheduledAt: updatedBooking.scheduled_at,
+        endTime: updatedBooking.end_time,
+        status: updatedBooking.status
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,91 @@
+import express from 'express';
+import { pool } from '../config/database.js';
+import { findPaymentProvider } from '../services/paymentProviders/index.js';
+import { buildFakeWebhook } from '../services/paymentProviders/fakeProvider.js';
+import { handlePaymentEvent, formatAmount } from '../services/paymentService.js';
+
+const router = express.Router();
+
+// Provider webhooks (public; mounted before the JSON parser so signatures are checked against the raw body)
+router.post('/webhooks/:provider', express.raw({ type: '*/*' }), async (req, res, next) => {
+  try {
+    const provider = findPaymentProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ error: 'Payment provider not found' });
+    }
+
+    const event = provider.parseWebhook(req.body, req.headers);
+    if (event) {
+      await handlePaymentEvent(provider.name, event);
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Checkout pages of the fake provider, for trying paid bookings locally
+if (process.env.NODE_ENV !== 'production') {
+  router.get('/fake/:paymentId', async (req, res, next) => {
+    try {
+      const result = await pool.query(
+        `SELECT p.provider_payment_id, p.amount, p.currency, p.status, et.name AS event_name
+         FROM payments p
+         JOIN bookings b ON b.id = p.booking_id
+         JOIN event_types et ON et.id = b.event_type_id
+         WHERE p.provider = 'fake' AND p.provider_payment_id = $1`,
+        [req.params.paymentId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Payment not found' });
+      }
+
+      const payment = result.rows[0];
+      const action = (outcome) => `${req.baseUrl}/fake/${encodeURIComponent(payment.provider_payment_id)}/${outcome}`;
+      res.type('html').send(`
+        <h1>Fake checkout</h1>
+        <p>${escapeHtml(payment.event_name)}: ${formatAmount(payment.amount).toFixed(2)} ${escapeHtml(payment.currency)} (${escapeHtml(payment.status)})</p>
+        <form method="post" action="${action('succeeded')}"><button>Pay</button></form>
+        <form method="post" action="${action('failed')}"><button>Fail payment</button></form>
+      `);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Send the fake provider's webhook for a payment outcome: succeeded, failed or expired
+  router.post('/fake/:paymentId/:outcome', async (req, res, next) => {
+    try {
+      const provider = findPaymentProvider('fake');
+      const { rawBody, headers } = buildFakeWebhook(`payment.${req.params.outcome}`, req.params.paymentId);
+      const event = provider.parseWebhook(Buffer.from(rawBody), headers);
+      if (!event) {
+        return res.status(400).json({ error: 'Outcome must be succeeded, failed or expired' });
+      }
+
+      const payment = await handlePaymentEvent(provider.name, event);
+      if (!payment) {
+        return res.status(409).json({ error: 'This payment is unknown or already settled' });
+      }
+
+      res.json({
+        success: true,
+        payment: { id: payment.id, status: payment.status }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+}
+
+export default router;
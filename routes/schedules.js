@@ -0,0 +1,299 @@
+import express from 'express';
+import { pool, withTransaction } from '../config/database.js';
+import { validate, scheduleSchema } from '../utils/validators.js';
+import { recordAudit, diffChanges, requestActor } from '../services/auditService.js';
+import { v4 as uuidv4 } from 'uuid';
+
+const router = express.Router();
+
+const DAY_ORDER = `CASE WHEN day_of_week = 'Monday' THEN 1
+              WHEN day_of_week = 'Tuesday' THEN 2
+              WHEN day_of_week = 'Wednesday' THEN 3
+              WHEN day_of_week = 'Thursday' THEN 4
+              WHEN day_of_week = 'Friday' THEN 5
+              WHEN day_of_week = 'Saturday' THEN 6
+              WHEN day_of_week = 'Sunday' THEN 7
+         END`;
+
+function formatSchedule(schedule, rules) {
+  return {
+    id: schedule.id,
+    name: schedule.name,
+    timezone: schedule.timezone,
+    isDefault: schedule.is_default,
+    rules: rules.map(r => ({
+      id: r.id,
+      dayOfWeek: r.day_of_week,
+      startTime: r.start_time,
+      endTime: r.end_time
+    })),
+    createdAt: schedule.created_at,
+    updatedAt: schedule.updated_at
+  };
+}
+
+async function getScheduleRules(client, scheduleIds) {
+  const result = await client.query(
+    `SELECT id, schedule_id, day_of_week, start_time, end_time
+     FROM availability_slots WHERE schedule_id = ANY($1) AND is_active = TRUE
+     ORDER BY ${DAY_ORDER}, start_time`,
+    [scheduleIds]
+  );
+  return result.rows;
+}
+
+async function replaceScheduleRules(client, scheduleId, rules) {
+  await client.query('DELETE FROM availability_slots WHERE schedule_id = $1', [scheduleId]);
+
+  for (const rule of rules) {
+    await client.query(
+      `INSERT INTO availability_slots (id, schedule_id, day_of_week, start_time, end_time)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [uuidv4(), scheduleId, rule.day_of_week, rule.start_time, rule.end_time]
+    );
+  }
+}
+
+// Schedule settings recorded in the audit log, with its weekly rules
+const SCHEDULE_AUDIT_FIELDS = ['name', 'timezone', 'is_default', 'rules'];
+
+function auditSnapshot(schedule, rules) {
+  return {
+    ...schedule,
+    rules: rules.map(r => ({ day_of_week: r.day_of_week, start_time: r.start_time, end_time: r.end_time }))
+  };
+}
+
+// Only one default schedule per user
+async function clearDefaultSchedule(client, userId, exceptId) {
+  await client.query(
+    `UPDATE schedules SET is_default = FALSE, updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND is_default = TRUE AND id != $2`,
+    [userId, exceptId]
+  );
+}
+
+// Create schedule
+router.post('/', async (req, res, next) => {
+  try {
+    const validation = await validate(scheduleSchema, req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
+
+    const { name, timezone, is_default, rules = [] } = validation.data;
+    const scheduleId = uuidv4();
+
+    const schedule = await withTransaction(async (client) => {
+      if (is_default) {
+        await clearDefaultSchedule(client, req.userId, scheduleId);
+      }
+
+      const result = await client.query(
+        `INSERT INTO schedules (id, user_id, name, timezone, is_default)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, name, timezone, is_default, created_at, updated_at`,
+        [scheduleId, req.userId, name, timezone, is_default]
+      );
+
+      await replaceScheduleRules(client, scheduleId, rules);
+      await recordAudit(client, {
+        userId: req.userId,
+        action: 'schedule.created',
+        resourceType: 'schedule',
+        resourceId: scheduleId,
+        changes: diffChanges({}, auditSnapshot(result.rows[0], await getScheduleRules(client, [scheduleId])), SCHEDULE_AUDIT_FIELDS),
+        actor: requestActor(req, 'owner')
+      });
+
+      return result.rows[0];
+    });
+
+    const savedRules = await getScheduleRules(pool, [scheduleId]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Schedule created successfully',
+      schedule: formatSchedule(schedule, savedRules)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get all schedules for user
+router.get('/', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, name, timezone, is_default, created_at, updated_at
+       FROM schedules WHERE user_id = $1 AND deleted_at IS NULL
+       ORDER BY is_default DESC, created_at`,
+      [req.userId]
+    );
+
+    const rules = await getScheduleRules(pool, result.rows.map(s => s.id));
+    const schedules = result.rows.map(s => formatSchedule(s, rules.filter(r => r.schedule_id === s.id)));
+
+    res.json({
+      success: true,
+      schedules,
+      total: schedules.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get schedule by ID
+router.get('/:scheduleId', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, name, timezone, is_default, created_at, updated_at
+       FROM schedules WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL`,
+      [req.params.scheduleId, req.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const rules = await getScheduleRules(pool, [req.params.scheduleId]);
+
+    // Event types that use this schedule
+    const eventsResult = await pool.query(
+      `SELECT id, name FROM event_types
+       WHERE schedule_id = $1 AND user_id = $2 AND deleted_at IS NULL`,
+      [req.params.scheduleId, req.userId]
+    );
+
+    res.json({
+      success: true,
+      schedule: {
+        ...formatSchedule(result.rows[0], rules),
+        eventTypes: eventsResult.rows.map(e => ({ id: e.id, name: e.name }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update schedule (rules are replaced when provided)
+router.put('/:scheduleId', async (req, res, next) => {
+  try {
+    const validation = await validate(scheduleSchema, req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
+
+    const { name, timezone, is_default, rules } = validation.data;
+    const { scheduleId } = req.params;
+
+    const schedule = await withTransaction(async (client) => {
+      const before = await client.query(
+        `SELECT name, timezone, is_default FROM schedules
+         WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+         FOR UPDATE`,
+        [scheduleId, req.userId]
+      );
+
+      if (before.rows.length === 0) {
+        return null;
+      }
+      const beforeRules = await getScheduleRules(client, [scheduleId]);
+
+      const result = await client.query(
+        `UPDATE schedules
+         SET name = $1, timezone = $2, is_default = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4 AND user_id = $5 AND deleted_at IS NULL
+         RETURNING id, name, timezone, is_default, created_at, updated_at`,
+        [name, timezone, is_default, scheduleId, req.userId]
+      );
+
+      if (is_default) {
+        await clearDefaultSchedule(client, req.userId, scheduleId);
+      }
+
+      if (rules) {
+        await replaceScheduleRules(client, scheduleId, rules);
+      }
+
+      await recordAudit(client, {
+        userId: req.userId,
+        action: 'schedule.updated',
+        resourceType: 'schedule',
+        resourceId: scheduleId,
+        changes: diffChanges(
+          auditSnapshot(before.rows[0], beforeRules),
+          auditSnapshot(result.rows[0], await getScheduleRules(client, [scheduleId])),
+          SCHEDULE_AUDIT_FIELDS
+        ),
+        actor: requestActor(req, 'owner')
+      });
+
+      return result.rows[0];
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const savedRules = await getScheduleRules(pool, [scheduleId]);
+
+    res.json({
+      success: true,
+      message: 'Schedule updated successfully',
+      schedule: formatSchedule(schedule, savedRules)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete schedule
+router.delete('/:scheduleId', async (req, res, next) => {
+  try {
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE schedules SET deleted_at = CURRENT_TIMESTAMP, is_default = FALSE
+         WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+         RETURNING id, deleted_at`,
+        [req.params.scheduleId, req.userId]
+      );
+
+      if (result.rows.length === 0) {
+        return false;
+      }
+
+      await recordAudit(client, {
+        userId: req.userId,
+        action: 'schedule.deleted',
+        resourceType: 'schedule',
+        resourceId: req.params.scheduleId,
+        changes: diffChanges({}, result.rows[0], ['deleted_at']),
+        actor: requestActor(req, 'owner')
+      });
+
+      // Event types fall back to the default schedule
+      await client.query(
+        'UPDATE event_types SET schedule_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE schedule_id = $1',
+        [req.params.scheduleId]
+      );
+
+      return true;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Schedule deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,6 +1,9 @@
 import express from 'express';
-import { pool } from '../config/database.js';
-import { validate, userSettingsSchema } from '../utils/validators.js';
+import { pool, withTransaction } from '../config/database.js';
+import { validate, userSettingsSchema, blockedTimeSchema, blockedTimeQuerySchema, auditLogQuerySchema } from '../utils/validators.js';
+import { isValidTimeZone } from '../utils/timezone.js';
+import { recordAudit, diffChanges, requestActor, formatAuditEntry } from '../services/auditService.js';
+import { getHostInvites, formatHostInvite } from '../services/hostService.js';
 
 const router = express.Router();
 
@@ -40,26 +43,60 @@ router.get('/profile', async (req, res, next) => {
   }
 });
 
+// Profile and settings fields recorded in the audit log
+const PROFILE_AUDIT_FIELDS = ['first_name', 'last_name', 'company_name', 'avatar_url', 'timezone', 'phone', 'bio', 'website'];
+const SETTINGS_AUDIT_FIELDS = [
+  'theme', 'language', 'notification_email', 'notification_sms', 'notification_push',
+  'default_meeting_duration', 'buffer_time_before', 'buffer_time_after', 'max_bookings_per_day',
+  'max_bookings_per_week', 'enable_cancellations', 'cancellation_notice_hours'
+];
+
 // Update user profile
 router.put('/profile', async (req, res, next) => {
   try {
     const { firstName, lastName, companyName, phone, bio, website, timezone, avatarUrl } = req.body;
 
-    const result = await pool.query(
-      `UPDATE users
-       SET first_name = COALESCE($1, first_name),
-           last_name = COALESCE($2, last_name),
-           company_name = COALESCE($3, company_name),
-           phone = COALESCE($4, phone),
-           bio = COALESCE($5, bio),
-           website = COALESCE($6, website),
-           timezone = COALESCE($7, timezone),
-           avatar_url = COALESCE($8, avatar_url),
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $9 AND deleted_at IS NULL
-       RETURNING id, email, first_name, last_name, company_name, avatar_url, timezone, phone, bio, website`,
-      [firstName, lastName, companyName, phone, bio, website, timezone, avatarUrl, req.userId]
-    );
+    // Availability rules are evaluated in this zone, so it must be a real IANA name
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be a valid IANA time zone' });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const before = await client.query(
+        'SELECT * FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [req.userId]
+      );
+      if (before.rows.length === 0) {
+        return before;
+      }
+
+      const updateResult = await client.query(
+        `UPDATE users
+         SET first_name = COALESCE($1, first_name),
+             last_name = COALESCE($2, last_name),
+             company_name = COALESCE($3, company_name),
+             phone = COALESCE($4, phone),
+             bio = COALESCE($5, bio),
+             website = COALESCE($6, website),
+             timezone = COALESCE($7, timezone),
+             avatar_url = COALESCE($8, avatar_url),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $9 AND deleted_at IS NULL
+         RETURNING id, email, first_name, last_name, company_name, avatar_url, timezone, phone, bio, website`,
+        [firstName, lastName, companyName, phone, bio, website, timezone, avatarUrl, req.userId]
+      );
+
+      await recordAudit(client, {
+        userId: req.userId,
+        action: 'profile.updated',
+        resourceType: 'user',
+        resourceId: req.userId,
+        changes: diffChanges(before.rows[0], updateResult.rows[0], PROFILE_AUDIT_FIELDS),
+        actor: requestActor(req, 'owner')
+      });
+
+      return updateResult;
+    });
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'User not found' });
@@ -93,7 +130,7 @@ router.get('/settings', async (req, res, next) => {
     const result = await pool.query(
       `SELECT id, theme, language, notification_email, notification_sms, notification_push,
               auto_reschedule, default_meeting_duration, buffer_time_before, buffer_time_after,
-              max_bookings_per_day, enable_cancellations, cancellation_notice_hours
+              max_bookings_per_day, max_bookings_per_week, enable_cancellations, cancellation_notice_hours
        FROM user_settings WHERE user_id = $1`,
       [req.userId]
     );
@@ -117,6 +154,7 @@ router.get('/settings', async (req, res, next) => {
         bufferTimeBefore: settings.buffer_time_before,
         bufferTimeAfter: settings.buffer_time_after,
         maxBookingsPerDay: settings.max_bookings_per_day,
+        maxBookingsPerWeek: settings.max_bookings_per_week,
         enableCancellations: settings.enable_cancellations,
         cancellationNoticeHours: settings.cancellation_notice_hours
       }
@@ -137,37 +175,63 @@ router.put('/settings', async (req, res, next) => {
     const {
       theme, language, notification_email, notification_sms, notification_push,
       default_meeting_duration, buffer_time_before, buffer_time_after,
-      max_bookings_per_day, enable_cancellations, cancellation_notice_hours, timezone
+      max_bookings_per_day, max_bookings_per_week, enable_cancellations, cancellation_notice_hours, timezone
     } = validation.data;
 
-    // Update timezone in users table if provided
-    if (timezone) {
-      await pool.query(
-        'UPDATE users SET timezone = $1 WHERE id = $2',
-        [timezone, req.userId]
+    const result = await withTransaction(async (client) => {
+      const before = await client.query(
+        `SELECT s.*, u.timezone FROM user_settings s JOIN users u ON u.id = s.user_id
+         WHERE s.user_id = $1 FOR UPDATE OF s`,
+        [req.userId]
       );
-    }
 
-    const result = await pool.query(
-      `UPDATE user_settings
-       SET theme = COALESCE($1, theme),
-           language = COALESCE($2, language),
-           notification_email = COALESCE($3, notification_email),
-           notification_sms = COALESCE($4, notification_sms),
-           notification_push = COALESCE($5, notification_push),
-           default_meeting_duration = COALESCE($6, default_meeting_duration),
-           buffer_time_before = COALESCE($7, buffer_time_before),
-           buffer_time_after = COALESCE($8, buffer_time_after),
-           max_bookings_per_day = COALESCE($9, max_bookings_per_day),
-           enable_cancellations = COALESCE($10, enable_cancellations),
-           cancellation_notice_hours = COALESCE($11, cancellation_notice_hours),
-           updated_at = CURRENT_TIMESTAMP
-       WHERE user_id = $12
-       RETURNING *`,
-      [theme, language, notification_email, notification_sms, notification_push,
-       default_meeting_duration, buffer_time_before, buffer_time_after,
-       max_bookings_per_day, enable_cancellations, cancellation_notice_hours, req.userId]
-    );
+      // Update timezone in users table if provided
+      if (timezone) {
+        await client.query(
+          'UPDATE users SET timezone = $1 WHERE id = $2',
+          [timezone, req.userId]
+        );
+      }
+
+      const updateResult = await client.query(
+        `UPDATE user_settings
+         SET theme = COALESCE($1, theme),
+             language = COALESCE($2, language),
+             notification_email = COALESCE($3, notification_email),
+             notification_sms = COALESCE($4, notification_sms),
+             notification_push = COALESCE($5, notification_push),
+             default_meeting_duration = COALESCE($6, default_meeting_duration),
+             buffer_time_before = COALESCE($7, buffer_time_before),
+             buffer_time_after = COALESCE($8, buffer_time_after),
+             max_bookings_per_day = COALESCE($9, max_bookings_per_day),
+             enable_cancellations = COALESCE($10, enable_cancellations),
+             cancellation_notice_hours = COALESCE($11, cancellation_notice_hours),
+             max_bookings_per_week = COALESCE($12, max_bookings_per_week),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = $13
+         RETURNING *`,
+        [theme, language, notification_email, notification_sms, notification_push,
+         default_meeting_duration, buffer_time_before, buffer_time_after,
+         max_bookings_per_day, enable_cancellations, cancellation_notice_hours, max_bookings_per_week, req.userId]
+      );
+
+      if (before.rows.length > 0) {
+        await recordAudit(client, {
+          userId: req.userId,
+          action: 'settings.updated',
+          resourceType: 'user_settings',
+          resourceId: updateResult.rows[0].id,
+          changes: diffChanges(
+            before.rows[0],
+            { ...updateResult.rows[0], timezone: timezone || before.rows[0].timezone },
+            [...SETTINGS_AUDIT_FIELDS, 'timezone']
+          ),
+          actor: requestActor(req, 'owner')
+        });
+      }
+
+      return updateResult;
+    });
 
     const settings = result.rows[0];
     res.json({
@@ -184,6 +248,7 @@ router.put('/settings', async (req, res, next) => {
         bufferTimeBefore: settings.buffer_time_before,
         bufferTimeAfter: settings.buffer_time_after,
         maxBookingsPerDay: settings.max_bookings_per_day,
+        maxBookingsPerWeek: settings.max_bookings_per_week,
         enableCancellations: settings.enable_cancellations,
         cancellationNoticeHours: settings.cancellation_notice_hours
       }
@@ -193,6 +258,348 @@ router.put('/settings', async (req, res, next) => {
   }
 });
 
+// Audit log of the account, newest first
+router.get('/audit-log', async (req, res, next) => {
+  try {
+    const validation = await validate(auditLogQuerySchema, req.query);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
+
+    const { action, resource_type, resource_id, actor_type, from, to, limit, offset } = validation.data;
+
+    const conditions = ['user_id = $1'];
+    const params = [req.userId];
+
+    const filters = [
+      ['action = ', action],
+      ['resource_type = ', resource_type],
+      ['resource_id = ', resource_id],
+      ['actor_type = ', actor_type],
+      ['created_at >= ', from && from.toISOString()],
+      ['created_at <= ', to && to.toISOString()]
+    ];
+    for (const [condition, value] of filters) {
+      if (value !== undefined) {
+        params.push(value);
+        conditions.push(`${condition}$${params.length}`);
+      }
+    }
+
+    const where = conditions.join(' AND ');
+    const countResult = await pool.query(`SELECT COUNT(*) FROM audit_logs WHERE ${where}`, params);
+    const result = await pool.query(
+      `SELECT id, action, resource_type, resource_id, actor_type, changes, ip_address, user_agent, created_at
+       FROM audit_logs WHERE ${where}
+       ORDER BY created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      entries: result.rows.map(formatAuditEntry),
+      pagination: {
+        limit,
+        offset,
+        total: parseInt(countResult.rows[0].count)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Blocked time fields recorded in the audit log
+const BLOCKED_TIME_AUDIT_FIELDS = [
+  'title', 'start_time', 'end_time', 'reason', 'kind', 'is_recurring', 'recurring_pattern', 'recurring_until'
+];
+
+function formatBlockedTime(b) {
+  return {
+    id: b.id,
+    title: b.title,
+    kind: b.kind,
+    startTime: b.start_time,
+    endTime: b.end_time,
+    reason: b.reason,
+    isRecurring: b.is_recurring,
+    recurringPattern: b.recurring_pattern,
+    recurringUntil: b.recurring_until,
+    createdAt: b.created_at,
+    updatedAt: b.updated_at
+  };
+}
+
+// Get blocked times and extra hours
+router.get('/blocked-times', async (req, res, next) => {
+  try {
+    const validation = await validate(blockedTimeQuerySchema, req.query);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
+
+    const { startDate, endDate, kind } = validation.data;
+
+    let query = `SELECT id, title, kind, start_time, end_time, reason, is_recurring, recurring_pattern, recurring_until, created_at, updated_at
+                 FROM blocked_times WHERE user_id = $1`;
+    const params = [req.userId];
+    let paramIndex = 2;
+
+    if (kind) {
+      query += ` AND kind = $${paramIndex}`;
+      params.push(kind);
+      paramIndex++;
+    }
+
+    // Recurring entries stay relevant after their first occurrence
+    if (startDate) {
+      query += ` AND (end_time >= $${paramIndex} OR (is_recurring = TRUE AND (recurring_until IS NULL OR recurring_until >= $${paramIndex})))`;
+      params.push(startDate.toISOString());
+      paramIndex++;
+    }
+
+    if (endDate) {
+      query += ` AND start_time <= $${paramIndex}`;
+      params.push(endDate.toISOString());
+      paramIndex++;
+    }
+
+    query += ' ORDER BY start_time';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      blockedTimes: result.rows.map(formatBlockedTime)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create blocked time or extra hours
+router.post('/blocked-times', async (req, res, next) => {
+  try {
+    const validation = await validate(blockedTimeSchema, req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
+
+    const { title, start_time, end_time, reason, kind, is_recurring, recurring_pattern, recurring_until } = validation.data;
+
+    const result = await withTransaction(async (client) => {
+      const insertResult = await client.query(
+        `INSERT INTO blocked_times (user_id, title, start_time, end_time, reason, kind, is_recurring, recurring_pattern, recurring_until)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [req.userId, title, start_time.toISOString(), end_time.toISOString(), reason, kind, is_recurring,
+         is_recurring ? recurring_pattern : null, is_recurring && recurring_until ? recurring_until.toISOString() : null]
+      );
+
+      await recordAudit(client, {
+        userId: req.userId,
+        action: 'blocked_time.created',
+        resourceType: 'blocked_time',
+        resourceId: insertResult.rows[0].id,
+        changes: diffChanges({}, insertResult.rows[0], BLOCKED_TIME_AUDIT_FIELDS),
+        actor: requestActor(req, 'owner')
+      });
+
+      return insertResult;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: kind === 'available' ? 'Extra hours added' : 'Blocked time created',
+      blockedTime: formatBlockedTime(result.rows[0])
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update blocked time or extra hours
+router.put('/blocked-times/:blockedTimeId', async (req, res, next) => {
+  try {
+    const validation = await validate(blockedTimeSchema, req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
+
+    const { title, start_time, end_time, reason, kind, is_recurring, recurring_pattern, recurring_until } = validation.data;
+
+    const result = await withTransaction(async (client) => {
+      const before = await client.query(
+        'SELECT * FROM blocked_times WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [req.params.blockedTimeId, req.userId]
+      );
+
+      if (before.rows.length === 0) {
+        return before;
+      }
+
+      const updateResult = await client.query(
+        `UPDATE blocked_times
+         SET title = $1, start_time = $2, end_time = $3, reason = $4, kind = $5,
+             is_recurring = $6, recurring_pattern = $7, recurring_until = $8,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $9 AND user_id = $10
+         RETURNING *`,
+        [title, start_time.toISOString(), end_time.toISOString(), reason, kind, is_recurring,
+         is_recurring ? recurring_pattern : null, is_recurring && recurring_until ? recurring_until.toISOString() : null,
+         req.params.blockedTimeId, req.userId]
+      );
+
+      await recordAudit(client, {
+        userId: req.userId,
+        action: 'blocked_time.updated',
+        resourceType: 'blocked_time',
+        resourceId: req.params.blockedTimeId,
+        changes: diffChanges(before.rows[0], updateResult.rows[0], BLOCKED_TIME_AUDIT_FIELDS),
+        actor: requestActor(req, 'owner')
+      });
+
+      return updateResult;
+    });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Blocked time not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Blocked time updated',
+      blockedTime: formatBlockedTime(result.rows[0])
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete blocked time or extra hours
+router.delete('/blocked-times/:blockedTimeId', async (req, res, next) => {
+  try {
+    const result = await withTransaction(async (client) => {
+      const deleteResult = await client.query(
+        'DELETE FROM blocked_times WHERE id = $1 AND user_id = $2 RETURNING *',
+        [req.params.blockedTimeId, req.userId]
+      );
+
+      if (deleteResult.rows.length > 0) {
+        await recordAudit(client, {
+          userId: req.userId,
+          action: 'blocked_time.deleted',
+          resourceType: 'blocked_time',
+          resourceId: req.params.blockedTimeId,
+          changes: diffChanges(deleteResult.rows[0], {}, BLOCKED_TIME_AUDIT_FIELDS),
+          actor: requestActor(req, 'owner')
+        });
+      }
+
+      return deleteResult;
+    });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Blocked time not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Blocked time deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Round-robin event types the user has been invited to host
+router.get('/host-invites', async (req, res, next) => {
+  try {
+    const invites = await getHostInvites(pool, req.userId);
+
+    res.json({
+      success: true,
+      invites: invites.map(formatHostInvite)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Accept or decline an invite to host a round-robin event type. Accepting lets the event type
+ * assign bookings to the user; declining removes them from its hosts. Recorded in the owner's audit log.
+ */
+async function answerHostInvite(req, accept) {
+  return withTransaction(async (client) => {
+    const result = accept
+      ? await client.query(
+        `UPDATE event_type_hosts SET accepted_at = CURRENT_TIMESTAMP
+         WHERE event_type_id = $1 AND user_id = $2 AND accepted_at IS NULL
+         RETURNING event_type_id`,
+        [req.params.eventTypeId, req.userId]
+      )
+      : await client.query(
+        `DELETE FROM event_type_hosts
+         WHERE event_type_id = $1 AND user_id = $2 AND accepted_at IS NULL
+         RETURNING event_type_id`,
+        [req.params.eventTypeId, req.userId]
+      );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const ownerResult = await client.query(
+      'SELECT et.user_id, u.email FROM event_types et, users u WHERE et.id = $1 AND u.id = $2',
+      [req.params.eventTypeId, req.userId]
+    );
+    const { user_id: ownerId, email } = ownerResult.rows[0];
+
+    await recordAudit(client, {
+      userId: ownerId,
+      action: accept ? 'event_type.host_invite_accepted' : 'event_type.host_invite_declined',
+      resourceType: 'event_type',
+      resourceId: req.params.eventTypeId,
+      changes: diffChanges({ host_status: 'invited' }, { host_status: accept ? 'accepted' : 'declined', host_email: email }),
+      actor: requestActor(req, 'host')
+    });
+
+    return result.rows[0];
+  });
+}
+
+router.post('/host-invites/:eventTypeId/accept', async (req, res, next) => {
+  try {
+    if (!(await answerHostInvite(req, true))) {
+      return res.status(404).json({ error: 'Host invite not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Host invite accepted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/host-invites/:eventTypeId/decline', async (req, res, next) => {
+  try {
+    if (!(await answerHostInvite(req, false))) {
+      return res.status(404).json({ error: 'Host invite not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Host invite declined'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Delete account
 router.delete('/account', async (req, res, next) => {
   try {
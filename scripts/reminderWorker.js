@@ -0,0 +1,104 @@
+import dotenv from 'dotenv';
+import { pool } from '../config/database.js';
+import { processDueReminders } from '../services/reminderService.js';
+import { expirePendingBookings, completePastBookings } from '../services/bookingService.js';
+import { retryCalendarSyncs } from '../services/calendarSyncService.js';
+import { expireUnpaidBookings } from '../services/paymentService.js';
+import { purgeExpiredIdempotencyKeys } from '../middleware/idempotency.js';
+
+dotenv.config();
+
+// Background jobs: reminder emails, calendar sync retries, and booking, payment and idempotency key housekeeping.
+// Poll interval; run with --once to do what is due and exit (e.g. from cron)
+const POLL_INTERVAL_MS = (parseInt(process.env.WORKER_POLL_SECONDS) || 60) * 1000;
+const runOnce = process.argv.includes('--once');
+
+let stopping = false;
+let wakeUp = null;
+
+// Sleep between passes; a shutdown signal ends the wait early
+function sleep(ms) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    wakeUp = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+}
+
+async function runPass() {
+  try {
+    const expired = await expirePendingBookings();
+    if (expired) {
+      console.log(`✅ Expired ${expired} unanswered booking request(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Expiring booking requests failed:', error.message);
+  }
+
+  try {
+    const unpaid = await expireUnpaidBookings();
+    if (unpaid) {
+      console.log(`✅ Expired ${unpaid} unpaid booking(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Expiring unpaid bookings failed:', error.message);
+  }
+
+  try {
+    const completed = await completePastBookings();
+    if (completed) {
+      console.log(`✅ Marked ${completed} past booking(s) as completed`);
+    }
+  } catch (error) {
+    console.error('❌ Completing past bookings failed:', error.message);
+  }
+
+  try {
+    const sync = await retryCalendarSyncs();
+    if (sync.synced || sync.failed) {
+      console.log(`✅ Calendar sync retries: ${sync.synced} synced, ${sync.failed} failed`);
+    }
+  } catch (error) {
+    console.error('❌ Calendar sync retries failed:', error.message);
+  }
+
+  try {
+    const summary = await processDueReminders();
+    if (summary.sent || summary.skipped || summary.retried || summary.failed) {
+      console.log(`✅ Reminders: ${summary.sent} sent, ${summary.skipped} skipped, ${summary.retried} retrying, ${summary.failed} failed`);
+    }
+  } catch (error) {
+    console.error('❌ Reminder pass failed:', error.message);
+  }
+
+  try {
+    await purgeExpiredIdempotencyKeys();
+  } catch (error) {
+    console.error('❌ Purging idempotency keys failed:', error.message);
+  }
+}
+
+async function main() {
+  console.log('🔔 Worker started');
+
+  do {
+    await runPass();
+    if (!runOnce && !stopping) {
+      await sleep(POLL_INTERVAL_MS);
+    }
+  } while (!runOnce && !stopping);
+
+  await pool.end();
+  console.log('Worker stopped');
+}
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    stopping = true;
+    wakeUp?.();
+  });
+}
+
+main();
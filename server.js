@@ -9,8 +9,11 @@ import authRoutes from './routes/auth.js';
 import userRoutes from './routes/users.js';
 import bookingRoutes from './routes/bookings.js';
 import eventRoutes from './routes/events.js';
+import scheduleRoutes from './routes/schedules.js';
 import analyticsRoutes from './routes/analytics.js';
 import embedRoutes from './routes/embed.js';
+import manageRoutes from './routes/manage.js';
+import paymentRoutes from './routes/payments.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { authMiddleware } from './middleware/auth.js';
 
@@ -27,8 +30,13 @@ app.use(morgan('combined'));
 const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
 app.use(cors({
   origin: frontendUrl,
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Idempotent-Replayed']
 }));
+
+// Payment provider webhooks verify signatures against the raw body, so they come before the JSON parser
+app.use('/api/payments', paymentRoutes);
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
 
@@ -64,10 +72,12 @@ app.get('/health/db', async (req, res) => {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', authMiddleware, userRoutes);
-app.use('/api/bookings', authMiddleware, bookingRoutes);
+app.use('/api/bookings', bookingRoutes); // Bookings handles auth internally (optionalAuth)
 app.use('/api/events', authMiddleware, eventRoutes);
+app.use('/api/schedules', authMiddleware, scheduleRoutes);
 app.use('/api/analytics', authMiddleware, analyticsRoutes);
 app.use('/api/embed', embedRoutes); // Public route for embeds
+app.use('/api/manage', manageRoutes); // Public guest links from booking emails
 
 // 404 handler
 app.use((req, res) => {
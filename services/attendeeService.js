@@ -0,0 +1,37 @@
+// Additional attendees of a booking, besides the guest who booked
+
+export async function getBookingAttendees(db, bookingId) {
+  const result = await db.query(
+    'SELECT id, booking_id, email, name, created_at FROM booking_attendees WHERE booking_id = $1 ORDER BY created_at, email',
+    [bookingId]
+  );
+  return result.rows;
+}
+
+export async function addBookingAttendee(db, bookingId, { email, name }) {
+  const result = await db.query(
+    `INSERT INTO booking_attendees (booking_id, email, name)
+     VALUES ($1, $2, $3)
+     RETURNING id, booking_id, email, name, created_at`,
+    [bookingId, email, name || null]
+  );
+  return result.rows[0];
+}
+
+export function formatAttendee(a) {
+  return {
+    id: a.id,
+    email: a.email,
+    name: a.name,
+    createdAt: a.created_at
+  };
+}
+
+// Everyone who gets the booking's emails: the guest first, then the additional attendees
+export async function getBookingRecipients(db, booking) {
+  const attendees = await getBookingAttendees(db, booking.id);
+  return [
+    { name: booking.guest_name, email: booking.guest_email, isGuest: true },
+    ...attendees.map(a => ({ name: a.name || a.email, email: a.email, isGuest: false }))
+  ];
+}
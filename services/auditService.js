@@ -0,0 +1,75 @@
+import { pool } from '../config/database.js';
+
+// Background jobs act without a request
+export const SYSTEM_ACTOR = { actorType: 'system', ipAddress: null, userAgent: null };
+
+// Who is making the change in this request, with where it came from
+export function requestActor(req, actorType) {
+  return {
+    actorType,
+    ipAddress: req.ip || null,
+    userAgent: req.get('user-agent') || null
+  };
+}
+
+function normalize(value) {
+  if (value instanceof Date) return value.toISOString();
+  return value === undefined ? null : value;
+}
+
+/**
+ * Field-level diff of two row snapshots: `{ field: { from, to } }` for every field that changed.
+ * Pass `{}` as `before` for a created record. Only `fields` are compared when given.
+ */
+export function diffChanges(before, after, fields = Object.keys(after)) {
+  const changes = {};
+
+  for (const field of fields) {
+    const from = normalize(before[field]);
+    const to = normalize(after[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Write an audit log entry. `db` is the pool or the client of the transaction making the change,
+ * so the entry is only kept if the change is.
+ */
+export async function recordAudit(db, { userId, action, resourceType, resourceId, changes = {}, actor = SYSTEM_ACTOR }) {
+  await db.query(
+    `INSERT INTO audit_logs (user_id, action, resource_type, resource_id, changes, actor_type, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [userId, action, resourceType, resourceId ? String(resourceId) : null, JSON.stringify(changes),
+     actor.actorType, actor.ipAddress?.slice(0, 45) || null, actor.userAgent]
+  );
+}
+
+export function formatAuditEntry(entry) {
+  return {
+    id: entry.id,
+    action: entry.action,
+    resourceType: entry.resource_type,
+    resourceId: entry.resource_id,
+    actorType: entry.actor_type,
+    changes: entry.changes || {},
+    ipAddress: entry.ip_address,
+    userAgent: entry.user_agent,
+    createdAt: entry.created_at
+  };
+}
+
+// Audit entries of one booking, oldest first
+export async function getBookingHistory(bookingId) {
+  const result = await pool.query(
+    `SELECT id, action, resource_type, resource_id, actor_type, changes, ip_address, user_agent, created_at
+     FROM audit_logs
+     WHERE resource_type = 'booking' AND resource_id = $1
+     ORDER BY created_at, id`,
+    [String(bookingId)]
+  );
+  return result.rows;
+}
@@ -0,0 +1,503 @@
+import { pool } from '../config/database.js';
+import { getEventTypeHosts, formatHost, hostEventType } from './hostService.js';
+import {
+  zonedTimeToUtc,
+  toZonedDateString,
+  toZonedTimeString,
+  formatInTimeZone,
+  addDaysToDateString,
+  addMonthsToDateString,
+  getDayOfWeek,
+  DAYS_OF_WEEK
+} from '../utils/timezone.js';
+
+export const MAX_SLOT_RANGE_DAYS = 62;
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+function toRule(row, source) {
+  return {
+    dayOfWeek: row.day_of_week,
+    startTime: row.start_time.slice(0, 5),
+    endTime: row.end_time.slice(0, 5),
+    source
+  };
+}
+
+/**
+ * Effective weekly availability of an event type: the referenced schedule (or the owner's
+ * default schedule), with the event type's own rules replacing the schedule on the weekdays
+ * they cover. Event types without any schedule fall back to their own rules in the owner's zone.
+ * For another host of a round-robin event type (`hostId`), the host's default schedule is used,
+ * since the referenced schedule belongs to the owner.
+ */
+export async function getEffectiveSchedule(eventTypeId, hostId = null) {
+  const scheduleResult = await pool.query(
+    `SELECT s.id, s.name, s.timezone, u.timezone AS owner_timezone
+     FROM event_types et
+     JOIN users u ON u.id = COALESCE($2::uuid, et.user_id)
+     LEFT JOIN schedules s ON s.deleted_at IS NULL AND s.id = COALESCE(
+       CASE WHEN u.id = et.user_id THEN et.schedule_id END,
+       (SELECT d.id FROM schedules d WHERE d.user_id = u.id AND d.is_default = TRUE AND d.deleted_at IS NULL LIMIT 1)
+     )
+     WHERE et.id = $1`,
+    [eventTypeId, hostId]
+  );
+
+  const row = scheduleResult.rows[0] || {};
+  const schedule = row.id ? { id: row.id, name: row.name, timezone: row.timezone } : null;
+
+  const rulesResult = await pool.query(
+    `SELECT day_of_week, start_time, end_time, event_type_id FROM availability_slots
+     WHERE is_active = TRUE AND (event_type_id = $1 OR ($2::uuid IS NOT NULL AND schedule_id = $2))`,
+    [eventTypeId, schedule?.id || null]
+  );
+
+  const overrides = rulesResult.rows.filter(r => r.event_type_id).map(r => toRule(r, 'event_type'));
+  const overriddenDays = new Set(overrides.map(r => r.dayOfWeek));
+  const scheduleRules = rulesResult.rows
+    .filter(r => !r.event_type_id && !overriddenDays.has(r.day_of_week))
+    .map(r => toRule(r, 'schedule'));
+
+  return {
+    schedule,
+    timezone: schedule?.timezone || row.owner_timezone || 'UTC',
+    rules: [...scheduleRules, ...overrides]
+  };
+}
+
+/**
+ * Subquery of everything occupying a host's calendar: confirmed bookings, pending bookings
+ * awaiting approval or payment, and unexpired slot holds.
+ * `hostParam` and `nowParam` are the placeholders holding the host id and the current time.
+ */
+export function occupiedTimeSql(hostParam, nowParam) {
+  return `(
+    SELECT 'booking' AS source, b.id, b.event_type_id, b.scheduled_at, b.end_time
+    FROM bookings b
+    WHERE b.user_id = ${hostParam} AND b.deleted_at IS NULL
+    AND (b.status = 'confirmed' OR (b.status = 'pending' AND b.approval_expires_at > ${nowParam})
+         OR (b.status = 'pending_payment' AND b.payment_expires_at > ${nowParam}))
+    UNION ALL
+    SELECT 'hold' AS source, h.id, h.event_type_id, h.scheduled_at, h.end_time
+    FROM slot_holds h
+    WHERE h.user_id = ${hostParam} AND h.expires_at > ${nowParam}
+  )`;
+}
+
+/**
+ * Occupied time of a host overlapping the given range, widened by each event type's buffers.
+ * Each interval keeps the event type and start of the booking or hold, so seats of a group
+ * session can be told apart from other bookings.
+ */
+export async function getBusyIntervals(userId, rangeStart, rangeEnd) {
+  const result = await pool.query(
+    `SELECT o.event_type_id, o.scheduled_at,
+            o.scheduled_at - make_interval(mins => COALESCE(et.buffer_time_before, 0)) AS busy_start,
+            o.end_time + make_interval(mins => COALESCE(et.buffer_time_after, 0)) AS busy_end
+     FROM ${occupiedTimeSql('$1', '$4')} o
+     JOIN event_types et ON et.id = o.event_type_id
+     WHERE o.scheduled_at < $2 AND o.end_time > $3`,
+    [userId, rangeEnd.toISOString(), rangeStart.toISOString(), new Date().toISOString()]
+  );
+
+  return result.rows.map(r => ({
+    start: new Date(r.busy_start),
+    end: new Date(r.busy_end),
+    eventTypeId: r.event_type_id,
+    scheduledAt: new Date(r.scheduled_at)
+  }));
+}
+
+// Key of a group session: the seats of one event type starting at the same time
+export function sessionKey(eventTypeId, start) {
+  return `${eventTypeId}:${new Date(start).getTime()}`;
+}
+
+/**
+ * Daily and weekly caps that apply to an event type: the host's settings and the event type's own.
+ * The host is `eventType.user_id`, so each host of a round-robin event type has their own caps.
+ */
+export async function getBookingLimits(eventType, db = pool) {
+  const result = await db.query(
+    `SELECT us.max_bookings_per_day, us.max_bookings_per_week,
+            et.max_bookings_per_day AS event_max_per_day, et.max_bookings_per_week AS event_max_per_week
+     FROM event_types et
+     LEFT JOIN user_settings us ON us.user_id = $2
+     WHERE et.id = $1`,
+    [eventType.id, eventType.user_id]
+  );
+
+  const row = result.rows[0] || {};
+  return {
+    userPerDay: row.max_bookings_per_day || null,
+    userPerWeek: row.max_bookings_per_week || null,
+    eventPerDay: row.event_max_per_day || null,
+    eventPerWeek: row.event_max_per_week || null
+  };
+}
+
+export function hasBookingLimits(limits) {
+  return Boolean(limits.userPerDay || limits.userPerWeek || limits.eventPerDay || limits.eventPerWeek);
+}
+
+/**
+ * The owner-local calendar day and Monday-based week containing an instant, with their UTC bounds.
+ * Booking caps are counted over these periods.
+ */
+export function getLimitPeriods(date, timeZone) {
+  const day = toZonedDateString(date, timeZone);
+  const week = addDaysToDateString(day, -((DAYS_OF_WEEK.indexOf(getDayOfWeek(day)) + 6) % 7));
+
+  return {
+    day,
+    week,
+    dayStart: resolveWallTime(day, '00:00', timeZone),
+    dayEnd: resolveWallTime(addDaysToDateString(day, 1), '00:00', timeZone),
+    weekStart: resolveWallTime(week, '00:00', timeZone),
+    weekEnd: resolveWallTime(addDaysToDateString(week, 7), '00:00', timeZone)
+  };
+}
+
+// Which cap, if any, a set of counts has reached: 'daily_limit', 'weekly_limit' or null
+export function reachedBookingLimit(limits, counts) {
+  if ((limits.userPerDay && counts.userDay >= limits.userPerDay) ||
+      (limits.eventPerDay && counts.eventDay >= limits.eventPerDay)) {
+    return 'daily_limit';
+  }
+
+  if ((limits.userPerWeek && counts.userWeek >= limits.userPerWeek) ||
+      (limits.eventPerWeek && counts.eventWeek >= limits.eventPerWeek)) {
+    return 'weekly_limit';
+  }
+
+  return null;
+}
+
+// Drop slots on owner-local days or weeks that have already reached a cap
+async function applyBookingLimits(eventType, slots) {
+  if (slots.length === 0) return slots;
+
+  const limits = await getBookingLimits(eventType);
+  if (!hasBookingLimits(limits)) return slots;
+
+  const timeZone = eventType.owner_timezone || 'UTC';
+  const first = getLimitPeriods(slots[0].start, timeZone);
+  const last = getLimitPeriods(slots[slots.length - 1].start, timeZone);
+
+  const result = await pool.query(
+    `SELECT o.scheduled_at, o.event_type_id FROM ${occupiedTimeSql('$1', '$4')} o
+     WHERE o.scheduled_at >= $2 AND o.scheduled_at < $3`,
+    [eventType.user_id, first.weekStart.toISOString(), last.weekEnd.toISOString(), new Date().toISOString()]
+  );
+
+  const counts = new Map();
+  const increment = (key) => counts.set(key, (counts.get(key) || 0) + 1);
+
+  // A group session counts once however many seats are taken
+  const sessions = new Set();
+  for (const booking of result.rows) {
+    const key = sessionKey(booking.event_type_id, booking.scheduled_at);
+    if (sessions.has(key)) continue;
+    sessions.add(key);
+
+    const { day, week } = getLimitPeriods(new Date(booking.scheduled_at), timeZone);
+    increment(`user:day:${day}`);
+    increment(`user:week:${week}`);
+    if (booking.event_type_id === eventType.id) {
+      increment(`event:day:${day}`);
+      increment(`event:week:${week}`);
+    }
+  }
+
+  return slots.filter(slot => {
+    // Joining a session that already exists adds no booking to the caps
+    if (sessions.has(sessionKey(eventType.id, slot.start))) return true;
+
+    const { day, week } = getLimitPeriods(slot.start, timeZone);
+    return !reachedBookingLimit(limits, {
+      userDay: counts.get(`user:day:${day}`) || 0,
+      userWeek: counts.get(`user:week:${week}`) || 0,
+      eventDay: counts.get(`event:day:${day}`) || 0,
+      eventWeek: counts.get(`event:week:${week}`) || 0
+    });
+  });
+}
+
+// Shift a wall-clock start by `index` recurrences; null when the occurrence does not exist
+function shiftOccurrence(dateString, pattern, index) {
+  switch (pattern) {
+    case 'daily': return addDaysToDateString(dateString, index);
+    case 'weekly': return addDaysToDateString(dateString, index * 7);
+    case 'monthly': return addMonthsToDateString(dateString, index);
+    case 'yearly': return addMonthsToDateString(dateString, index * 12);
+    default: return index === 0 ? dateString : null;
+  }
+}
+
+// Longest gap between recurrences, so skipping ahead by it never passes an occurrence in range
+const PATTERN_MAX_DAYS = { daily: 1, weekly: 7, monthly: 31, yearly: 366 };
+
+/**
+ * Expand blocked_times rows into concrete intervals overlapping [rangeStart, rangeEnd).
+ * Recurrences repeat the original wall-clock time in the owner's time zone, so they follow DST.
+ */
+export function expandBlockedTimes(rows, rangeStart, rangeEnd, timeZone) {
+  const intervals = [];
+
+  for (const row of rows) {
+    const start = new Date(row.start_time);
+    const end = new Date(row.end_time);
+    const durationMs = end - start;
+    const kind = row.kind || 'blocked';
+
+    if (!row.is_recurring || !PATTERN_MAX_DAYS[row.recurring_pattern]) {
+      if (overlaps(start, end, rangeStart, rangeEnd)) {
+        intervals.push({ id: row.id, kind, title: row.title, start, end });
+      }
+      continue;
+    }
+
+    const until = row.recurring_until ? new Date(row.recurring_until) : null;
+    const baseDate = toZonedDateString(start, timeZone);
+    const baseTime = toZonedTimeString(start, timeZone);
+    // A lower bound on the first occurrence in range; the loop walks forward from there
+    const periodMs = PATTERN_MAX_DAYS[row.recurring_pattern] * DAY;
+    const firstIndex = Math.max(0, Math.floor((rangeStart - end) / periodMs) - 1);
+
+    for (let index = firstIndex; index < firstIndex + 1000; index++) {
+      const date = shiftOccurrence(baseDate, row.recurring_pattern, index);
+      if (!date) continue;
+
+      const occurrenceStart = resolveWallTime(date, baseTime, timeZone);
+      if (!occurrenceStart) continue;
+      if (occurrenceStart >= rangeEnd || (until && occurrenceStart > until)) break;
+
+      const occurrenceEnd = new Date(occurrenceStart.getTime() + durationMs);
+      if (overlaps(occurrenceStart, occurrenceEnd, rangeStart, rangeEnd)) {
+        intervals.push({ id: row.id, kind, title: row.title, start: occurrenceStart, end: occurrenceEnd });
+      }
+    }
+  }
+
+  return intervals.sort((a, b) => a.start - b.start);
+}
+
+// Blocked times and extra hours of a host overlapping the given range
+export async function getCalendarOverrides(userId, rangeStart, rangeEnd, timeZone) {
+  const result = await pool.query(
+    `SELECT id, title, start_time, end_time, kind, is_recurring, recurring_pattern, recurring_until
+     FROM blocked_times
+     WHERE user_id = $1
+     AND start_time < $2
+     AND (end_time > $3 OR (is_recurring = TRUE AND (recurring_until IS NULL OR recurring_until >= $3)))`,
+    [userId, rangeEnd.toISOString(), rangeStart.toISOString()]
+  );
+
+  const intervals = expandBlockedTimes(result.rows, rangeStart, rangeEnd, timeZone);
+
+  return {
+    blocked: intervals.filter(i => i.kind !== 'available'),
+    available: intervals.filter(i => i.kind === 'available')
+  };
+}
+
+// First blocked time of a host that overlaps the given interval, if any
+export async function findBlockedTimeConflict(userId, start, end, timeZone) {
+  const { blocked } = await getCalendarOverrides(userId, start, end, timeZone || 'UTC');
+  return blocked[0] || null;
+}
+
+// Merge overlapping or touching windows so slot boundaries stay aligned
+export function mergeWindows(windows) {
+  const sorted = [...windows].sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  for (const window of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && window.start <= last.end) {
+      if (window.end > last.end) last.end = window.end;
+    } else {
+      merged.push({ start: window.start, end: window.end });
+    }
+  }
+
+  return merged;
+}
+
+// Resolve a wall-clock time to an instant, moving past a DST gap if the time does not exist
+function resolveWallTime(dateString, timeString, timeZone) {
+  if (timeString === '24:00') {
+    return resolveWallTime(addDaysToDateString(dateString, 1), '00:00', timeZone);
+  }
+
+  const instant = zonedTimeToUtc(dateString, timeString, timeZone);
+  if (instant) return instant;
+
+  const [hour, minute] = timeString.split(':').map(Number);
+  const later = `${String(hour + 1).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  return hour < 23 ? zonedTimeToUtc(dateString, later, timeZone) : null;
+}
+
+// Expand weekly rules into concrete availability windows between two calendar dates (inclusive)
+export function expandWeeklyRules(rules, timeZone, fromDate, toDate) {
+  const windows = [];
+
+  for (let date = fromDate; date <= toDate; date = addDaysToDateString(date, 1)) {
+    const dayOfWeek = getDayOfWeek(date);
+
+    for (const rule of rules.filter(r => r.dayOfWeek === dayOfWeek)) {
+      // An end time at or before the start time runs until midnight
+      const endTime = rule.endTime <= rule.startTime ? '24:00' : rule.endTime;
+      const start = resolveWallTime(date, rule.startTime, timeZone);
+      const end = resolveWallTime(date, endTime, timeZone);
+
+      if (start && end && start < end) {
+        windows.push({ start, end });
+      }
+    }
+  }
+
+  return windows;
+}
+
+function overlaps(startA, endA, startB, endB) {
+  return startA < endB && endA > startB;
+}
+
+// Availability windows (weekly rules plus extra hours) of an event type between two instants
+async function getAvailabilityWindows(eventType, rangeStart, rangeEnd) {
+  const { rules, timezone } = await getEffectiveSchedule(eventType.id, eventType.user_id);
+  const weeklyWindows = expandWeeklyRules(
+    rules,
+    timezone,
+    toZonedDateString(rangeStart, timezone),
+    toZonedDateString(rangeEnd, timezone)
+  );
+
+  // Blocked times and extra hours belong to the owner, so they recur in the owner's zone
+  const overrides = await getCalendarOverrides(eventType.user_id, rangeStart, rangeEnd, eventType.owner_timezone || timezone);
+
+  return {
+    windows: mergeWindows([...weeklyWindows, ...overrides.available]),
+    blocked: overrides.blocked
+  };
+}
+
+/**
+ * Whether [start, end) lies entirely inside the event type's availability, evaluated in the
+ * effective schedule's time zone. Shared by every booking, reschedule and slot path.
+ */
+export async function isWithinAvailability(eventType, start, end) {
+  const { windows } = await getAvailabilityWindows(eventType, new Date(start.getTime() - DAY), new Date(end.getTime() + DAY));
+  return windows.some(w => w.start <= start && w.end >= end);
+}
+
+/**
+ * Turn availability windows into bookable start times, dropping anything that collides with busy time.
+ * Busy intervals with a `sessionStart` are seats of a group session and do not block a slot starting then.
+ */
+export function buildSlots({ windows, busy, durationMinutes, bufferBefore = 0, bufferAfter = 0, earliestStart, latestStart, rangeStart, rangeEnd }) {
+  const slots = [];
+  const seen = new Set();
+
+  for (const window of windows) {
+    for (let start = window.start.getTime(); start + durationMinutes * MINUTE <= window.end.getTime(); start += durationMinutes * MINUTE) {
+      const slotStart = new Date(start);
+      const slotEnd = new Date(start + durationMinutes * MINUTE);
+
+      if (seen.has(start)) continue;
+      if (slotStart < rangeStart || slotStart >= rangeEnd) continue;
+      if (slotStart < earliestStart || slotStart > latestStart) continue;
+
+      const paddedStart = new Date(start - bufferBefore * MINUTE);
+      const paddedEnd = new Date(slotEnd.getTime() + bufferAfter * MINUTE);
+      if (busy.some(b => b.sessionStart !== start && overlaps(paddedStart, paddedEnd, b.start, b.end))) continue;
+
+      seen.add(start);
+      slots.push({ start: slotStart, end: slotEnd });
+    }
+  }
+
+  return slots.sort((a, b) => a.start - b.start);
+}
+
+// Earliest and latest start a guest may book, from the event type's minimum notice and booking horizon
+export function getBookingWindow(eventType, now = Date.now()) {
+  return {
+    earliestStart: new Date(now + (eventType.min_advance_notice_minutes || 0) * MINUTE),
+    latestStart: new Date(now + (eventType.max_advance_booking_days || 365) * DAY)
+  };
+}
+
+// Open slots of one host of the event type between two instants, with the seats left in each
+async function getHostSlots(eventType, rangeStart, rangeEnd) {
+  const { earliestStart, latestStart } = getBookingWindow(eventType);
+
+  const paddedStart = new Date(rangeStart.getTime() - DAY);
+  const paddedEnd = new Date(rangeEnd.getTime() + DAY);
+  const { windows, blocked } = await getAvailabilityWindows(eventType, paddedStart, paddedEnd);
+
+  const bookings = await getBusyIntervals(eventType.user_id, paddedStart, paddedEnd);
+
+  // Seats taken in each session of a group event type, by start time
+  const seats = eventType.seats_per_slot || 1;
+  const seatsTaken = new Map();
+  const busy = [...bookings.map(b => {
+    if (seats === 1 || b.eventTypeId !== eventType.id) return b;
+    const sessionStart = b.scheduledAt.getTime();
+    seatsTaken.set(sessionStart, (seatsTaken.get(sessionStart) || 0) + 1);
+    return { ...b, sessionStart };
+  }), ...blocked];
+
+  const candidates = buildSlots({
+    windows,
+    busy,
+    durationMinutes: eventType.duration_minutes,
+    bufferBefore: eventType.buffer_time_before || 0,
+    bufferAfter: eventType.buffer_time_after || 0,
+    earliestStart,
+    latestStart,
+    rangeStart,
+    rangeEnd
+  });
+
+  const open = candidates.filter(s => (seatsTaken.get(s.start.getTime()) || 0) < seats);
+  const slots = await applyBookingLimits(eventType, open);
+
+  return slots.map(s => ({ ...s, seatsRemaining: seats - (seatsTaken.get(s.start.getTime()) || 0) }));
+}
+
+/**
+ * Compute bookable slots for an event type between two calendar dates in the guest's time zone.
+ * `eventType` must carry the owner's time zone as `owner_timezone`. A round-robin event type
+ * offers every time at which at least one of its accepted hosts is free.
+ */
+export async function getBookableSlots(eventType, { from, to, timeZone }) {
+  const rangeStart = zonedTimeToUtc(from, '00:00', timeZone) || new Date(`${from}T00:00:00Z`);
+  const rangeEnd = zonedTimeToUtc(addDaysToDateString(to, 1), '00:00', timeZone) || new Date(`${addDaysToDateString(to, 1)}T00:00:00Z`);
+
+  const hosts = eventType.assignment_strategy
+    ? (await getEventTypeHosts(pool, eventType.id, { acceptedOnly: true })).map(h => hostEventType(eventType, formatHost(h)))
+    : [eventType];
+
+  const slots = new Map();
+  for (const host of hosts) {
+    for (const slot of await getHostSlots(host, rangeStart, rangeEnd)) {
+      const existing = slots.get(slot.start.getTime());
+      if (!existing || slot.seatsRemaining > existing.seatsRemaining) {
+        slots.set(slot.start.getTime(), slot);
+      }
+    }
+  }
+
+  return [...slots.values()].sort((a, b) => a.start - b.start).map(s => ({
+    date: toZonedDateString(s.start, timeZone),
+    time: toZonedTimeString(s.start, timeZone),
+    start: formatInTimeZone(s.start, timeZone),
+    end: formatInTimeZone(s.end, timeZone),
+    utcStart: s.start.toISOString(),
+    seatsRemaining: s.seatsRemaining
+  }));
+}
@@ -0,0 +1,159 @@
+import { once } from 'events';
+import { pool } from '../config/database.js';
+import { buildBookingFilters, bookingOrderBy, bookingCursorColumn, nextBookingCursor, bookingCursorCondition } from './bookingQueryService.js';
+import { bookingUid, icsCalendarStart, icsCalendarEnd, icsEvent } from '../utils/ics.js';
+
+// Bookings are read in pages of this size, so memory stays flat however large the account is
+const EXPORT_BATCH_SIZE = 500;
+
+const EXPORT_COLUMNS = `id, event_type_id, guest_name, guest_email, guest_phone, guest_timezone, scheduled_at, end_time,
+  duration_minutes, description, custom_fields, status, google_meet_link, created_at`;
+
+// All of the owner's bookings matching the list filters, one page at a time, in the list's sort order
+async function* bookingBatches(userId, filters) {
+  const { sort, order } = filters;
+  const { where, params } = buildBookingFilters(userId, filters);
+  let cursor = null;
+
+  while (true) {
+    const pageParams = [...params];
+    const cursorCondition = cursor ? ` AND ${bookingCursorCondition(cursor, pageParams)}` : '';
+    pageParams.push(EXPORT_BATCH_SIZE);
+
+    const result = await pool.query(
+      `SELECT ${EXPORT_COLUMNS}, ${bookingCursorColumn(sort)} FROM bookings
+       WHERE ${where}${cursorCondition}
+       ORDER BY ${bookingOrderBy(sort, order)}
+       LIMIT $${pageParams.length}`,
+      pageParams
+    );
+    if (result.rows.length === 0) return;
+
+    yield result.rows;
+
+    if (result.rows.length < EXPORT_BATCH_SIZE) return;
+    cursor = nextBookingCursor(result.rows[result.rows.length - 1], sort, order);
+  }
+}
+
+// Write a chunk, waiting for the client to catch up when the socket buffer is full
+async function write(res, chunk) {
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+  if (res.destroyed) {
+    throw new Error('Export aborted: the client closed the connection');
+  }
+}
+
+// Event types the user owns or hosts round-robin, so bookings assigned to them from a colleague's event type are named too
+const USER_EVENT_TYPES = `(et.user_id = $1 OR et.id IN (SELECT event_type_id FROM event_type_hosts WHERE user_id = $1))`;
+
+async function getEventTypeNames(userId) {
+  const result = await pool.query(`SELECT et.id, et.name FROM event_types et WHERE ${USER_EVENT_TYPES}`, [userId]);
+  return new Map(result.rows.map(et => [et.id, et.name]));
+}
+
+/**
+ * Custom field columns: the questions of the owner's event types in display order, then
+ * answer keys that no longer have a question.
+ */
+async function getCustomFieldColumns(userId, filters) {
+  const questionResult = await pool.query(
+    `SELECT key, label FROM (
+       SELECT DISTINCT ON (q.key) q.key, q.label, q.position
+       FROM event_type_questions q
+       JOIN event_types et ON et.id = q.event_type_id
+       WHERE ${USER_EVENT_TYPES} AND ($2::uuid IS NULL OR et.id = $2)
+       ORDER BY q.key, et.deleted_at IS NOT NULL, q.position
+     ) questions
+     ORDER BY position, key`,
+    [userId, filters.eventTypeId || null]
+  );
+
+  const { where, params } = buildBookingFilters(userId, filters);
+  const keyResult = await pool.query(
+    `SELECT DISTINCT jsonb_object_keys(custom_fields) AS key FROM bookings
+     WHERE ${where} AND jsonb_typeof(custom_fields) = 'object'`,
+    params
+  );
+
+  const columns = questionResult.rows.map(q => ({ key: q.key, label: q.label }));
+  const known = new Set(columns.map(c => c.key));
+  for (const { key } of keyResult.rows.sort((a, b) => a.key.localeCompare(b.key))) {
+    if (!known.has(key)) columns.push({ key, label: key });
+  }
+  return columns;
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString()
+    : Array.isArray(value) ? value.join('; ')
+      : typeof value === 'boolean' ? (value ? 'Yes' : 'No')
+        : String(value);
+
+  // Keep spreadsheets from evaluating guest input as a formula
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return values.map(csvValue).join(',') + '\r\n';
+}
+
+export async function writeBookingsCsv(res, { userId, filters }) {
+  const [eventTypeNames, customColumns] = await Promise.all([
+    getEventTypeNames(userId),
+    getCustomFieldColumns(userId, filters)
+  ]);
+
+  // Byte order mark so spreadsheet apps read the file as UTF-8
+  await write(res, '\uFEFF' + csvRow([
+    'Booking ID', 'Status', 'Event Type', 'Guest Name', 'Guest Email', 'Guest Phone', 'Guest Timezone',
+    'Start (UTC)', 'End (UTC)', 'Duration (minutes)', 'Description', 'Meeting Link', 'Created At',
+    ...customColumns.map(c => c.label)
+  ]));
+
+  for await (const batch of bookingBatches(userId, filters)) {
+    await write(res, batch.map(b => {
+      const answers = b.custom_fields || {};
+      return csvRow([
+        b.id, b.status, eventTypeNames.get(b.event_type_id), b.guest_name, b.guest_email, b.guest_phone,
+        b.guest_timezone, b.scheduled_at, b.end_time, b.duration_minutes, b.description, b.google_meet_link,
+        b.created_at, ...customColumns.map(c => answers[c.key])
+      ]);
+    }).join(''));
+  }
+}
+
+export async function writeBookingsIcs(res, { userId, filters }) {
+  const [eventTypeNames, ownerResult] = await Promise.all([
+    getEventTypeNames(userId),
+    pool.query('SELECT email, first_name, last_name FROM users WHERE id = $1', [userId])
+  ]);
+  const owner = ownerResult.rows[0] || {};
+  const ownerName = [owner.first_name, owner.last_name].filter(Boolean).join(' ');
+
+  await write(res, icsCalendarStart());
+
+  for await (const batch of bookingBatches(userId, filters)) {
+    await write(res, batch.map(b => icsEvent({
+      uid: bookingUid(b.id),
+      start: b.scheduled_at,
+      end: b.end_time,
+      summary: `${eventTypeNames.get(b.event_type_id) || 'Meeting'}: ${b.guest_name}`,
+      description: b.description,
+      meetLink: b.google_meet_link,
+      organizerEmail: owner.email,
+      organizerName: ownerName,
+      attendees: [{ name: b.guest_name, email: b.guest_email }],
+      status: b.status,
+      createdAt: b.created_at
+    })).join(''));
+  }
+
+  await write(res, icsCalendarEnd());
+}
@@ -0,0 +1,113 @@
+// Filtering, search, sorting and cursors for the owner's booking list and exports
+
+// Fields the list can be sorted by, with the SQL type of their cursor value
+export const BOOKING_SORT_FIELDS = {
+  scheduled_at: 'timestamp',
+  created_at: 'timestamp',
+  guest_name: 'text',
+  guest_email: 'text',
+  status: 'text'
+};
+
+// Searchable text of a booking; migrations/015_booking_search.sql indexes this exact expression
+export const BOOKING_SEARCH_VECTOR = `to_tsvector('simple', coalesce(guest_name, '') || ' ' || coalesce(guest_email, '') || ' ' || coalesce(description, ''))`;
+
+// Every word of the search must match the start of a word in the booking
+function searchQuery(search) {
+  const words = search.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.map(word => `${word}:*`).join(' & ');
+}
+
+/**
+ * WHERE clause and parameters for the owner's bookings matching the list filters
+ * (validated with bookingListQuerySchema). Further parameters can be appended to `params`.
+ */
+export function buildBookingFilters(userId, filters) {
+  const conditions = ['user_id = $1', 'deleted_at IS NULL'];
+  const params = [userId];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.status) {
+    conditions.push(`status = ANY(${param(filters.status)}::text[])`);
+  }
+
+  if (filters.eventTypeId) {
+    conditions.push(`event_type_id = ${param(filters.eventTypeId)}`);
+  }
+
+  if (filters.startDate) {
+    conditions.push(`scheduled_at >= ${param(filters.startDate.toISOString())}`);
+  }
+
+  if (filters.endDate) {
+    conditions.push(`scheduled_at <= ${param(filters.endDate.toISOString())}`);
+  }
+
+  if (filters.q) {
+    // Email addresses are single words to the parser, so they are also matched as substrings
+    const tsQuery = searchQuery(filters.q);
+    const emailMatch = `guest_email ILIKE ${param(`%${filters.q.replace(/[\\%_]/g, '\\$&')}%`)}`;
+    conditions.push(tsQuery
+      ? `(${BOOKING_SEARCH_VECTOR} @@ to_tsquery('simple', ${param(tsQuery)}) OR ${emailMatch})`
+      : emailMatch);
+  }
+
+  // Answers match exactly, or contain the value for multi-select questions
+  for (const [key, value] of Object.entries(filters.customFields || {})) {
+    const keyParam = param(key);
+    const valueParam = param(value);
+    conditions.push(`(custom_fields ->> ${keyParam} = ${valueParam} OR custom_fields -> ${keyParam} ? ${valueParam})`);
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+// ORDER BY for a sort field, with the id breaking ties so pages never overlap
+export function bookingOrderBy(sort, order) {
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  return `${sort} ${direction}, id ${direction}`;
+}
+
+// Select with the page's rows: cursor values are read as text, so timestamps keep their microseconds
+export function bookingCursorColumn(sort) {
+  return `${sort}::text AS cursor_value`;
+}
+
+// Cursor for the rows after `booking`, a row selected with bookingCursorColumn
+export function nextBookingCursor(booking, sort, order) {
+  return { sort, order, value: booking.cursor_value, id: booking.id };
+}
+
+export function encodeBookingCursor(booking, sort, order) {
+  return Buffer.from(JSON.stringify(nextBookingCursor(booking, sort, order))).toString('base64url');
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?$/;
+
+// Decode a cursor for the given sort; null when it is malformed or was made for another sort
+export function decodeBookingCursor(cursor, sort, order) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (decoded.sort !== sort || decoded.order !== order || typeof decoded.id !== 'string' || !UUID_PATTERN.test(decoded.id)) {
+      return null;
+    }
+    if (typeof decoded.value !== 'string' || (BOOKING_SORT_FIELDS[sort] === 'timestamp' && !TIMESTAMP_PATTERN.test(decoded.value))) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Condition selecting the rows after the cursor, appending its parameters to `params`
+export function bookingCursorCondition(cursor, params) {
+  params.push(cursor.value, cursor.id);
+  const type = BOOKING_SORT_FIELDS[cursor.sort];
+  const comparison = cursor.order === 'asc' ? '>' : '<';
+  return `(${cursor.sort}, id) ${comparison} ($${params.length - 1}::${type}, $${params.length}::uuid)`;
+}
@@ -0,0 +1,1043 @@
+import crypto from 'crypto';
+import { pool, withTransaction } from '../config/database.js';
+import { ConflictError } from '../utils/errors.js';
+import { generateManageToken } from '../utils/jwt.js';
+import { bookingInvite } from '../utils/ics.js';
+import { calendarLinks } from '../utils/calendarLinks.js';
+import { createGoogleMeetEvent } from './googleMeetService.js';
+import {
+  sendBookingConfirmation,
+  sendCancellationNotice,
+  sendBookingRequest,
+  sendBookingDeclined
+} from './emailService.js';
+import { scheduleReminders, cancelReminders, rescheduleReminders } from './reminderService.js';
+import { syncCalendarEvent } from './calendarSyncService.js';
+import { getEventTypeQuestions, formatAnswers } from './questionService.js';
+import { recordAudit, diffChanges, SYSTEM_ACTOR } from './auditService.js';
+import { getBookingAttendees, addBookingAttendee, getBookingRecipients } from './attendeeService.js';
+import { getHostLoad, hostEventType } from './hostService.js';
+import { rankHosts } from '../utils/roundRobin.js';
+import {
+  findBlockedTimeConflict,
+  isWithinAvailability,
+  getBookingLimits,
+  hasBookingLimits,
+  getLimitPeriods,
+  reachedBookingLimit,
+  occupiedTimeSql,
+  getBookingWindow
+} from './availabilityService.js';
+
+/**
+ * Serialize booking writes for one host until the surrounding transaction ends.
+ * Every path that creates or moves a booking takes this lock before checking for conflicts,
+ * so two guests submitting the same slot at once cannot both pass the check.
+ */
+export async function lockHostCalendar(client, userId) {
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`host-calendar:${userId}`]);
+}
+
+const MINUTE = 60 * 1000;
+
+function overlaps(startA, endA, startB, endB) {
+  return startA < endB && endA > startB;
+}
+
+// The booking interval widened by the event type's buffers
+function withBuffers(eventType, start, end) {
+  return {
+    start: new Date(start.getTime() - (eventType.buffer_time_before || 0) * MINUTE),
+    end: new Date(end.getTime() + (eventType.buffer_time_after || 0) * MINUTE)
+  };
+}
+
+/**
+ * Reject a start the slots endpoint would not offer: in the past, inside the event type's minimum
+ * notice or beyond its booking horizon. `eventType` needs min_advance_notice_minutes and max_advance_booking_days.
+ */
+export function assertBookableTime(eventType, start) {
+  const { earliestStart, latestStart } = getBookingWindow(eventType);
+
+  if (start < earliestStart) {
+    throw eventType.min_advance_notice_minutes > 0
+      ? new ConflictError(`This event type must be booked at least ${eventType.min_advance_notice_minutes} minutes in advance`, 'too_soon')
+      : new ConflictError('The requested time is in the past', 'in_past');
+  }
+
+  if (start > latestStart) {
+    throw new ConflictError(`This event type can be booked at most ${eventType.max_advance_booking_days || 365} days in advance`, 'too_far_ahead');
+  }
+}
+
+// Checks that only read the host's weekly template and blocked times; safe outside the lock
+export async function assertWithinSchedule(eventType, start, end) {
+  if (!(await isWithinAvailability(eventType, start, end))) {
+    throw new ConflictError("The requested time is outside the host's availability", 'outside_availability');
+  }
+
+  const padded = withBuffers(eventType, start, end);
+  const blockedTime = await findBlockedTimeConflict(eventType.user_id, padded.start, padded.end, eventType.owner_timezone);
+  if (blockedTime) {
+    throw new ConflictError('The host is unavailable at this time', 'blocked_time');
+  }
+}
+
+/**
+ * Check the host's confirmed bookings and active holds across all event types. Buffers apply on
+ * both sides: the new booking's buffers and those of the event type of each existing booking.
+ * A group event type's session at the same start is joined while it has seats left.
+ * `excludeIds` lists bookings or holds being moved or converted.
+ * Must run inside the transaction holding lockHostCalendar.
+ */
+export async function assertNoBookingConflict(client, { eventType, start, end, excludeIds = [] }) {
+  const padded = withBuffers(eventType, start, end);
+
+  const result = await client.query(
+    `SELECT o.source, o.event_type_id, o.scheduled_at, o.end_time
+     FROM ${occupiedTimeSql('$1', '$5')} o
+     JOIN event_types et ON et.id = o.event_type_id
+     WHERE NOT (o.id = ANY($4::uuid[]))
+     AND o.scheduled_at - make_interval(mins => COALESCE(et.buffer_time_before, 0)) < $2
+     AND o.end_time + make_interval(mins => COALESCE(et.buffer_time_after, 0)) > $3`,
+    [eventType.user_id, padded.end.toISOString(), padded.start.toISOString(), excludeIds, new Date().toISOString()]
+  );
+
+  let occupied = result.rows;
+  const seats = eventType.seats_per_slot || 1;
+  if (seats > 1) {
+    const session = occupied.filter(o => o.event_type_id === eventType.id && new Date(o.scheduled_at).getTime() === start.getTime());
+    if (session.length >= seats) {
+      throw new ConflictError('This session is fully booked', 'full');
+    }
+    occupied = occupied.filter(o => !session.includes(o));
+  }
+
+  if (occupied.length === 0) return;
+
+  const direct = occupied.filter(o => overlaps(start, end, new Date(o.scheduled_at), new Date(o.end_time)));
+  if (direct.some(o => o.source === 'booking')) {
+    throw new ConflictError('This time slot is already booked', 'booking');
+  }
+
+  if (direct.length > 0) {
+    throw new ConflictError('This time slot is temporarily held by another guest', 'hold');
+  }
+
+  throw new ConflictError('This time is too close to another booking', 'buffer');
+}
+
+/**
+ * Enforce the owner's and the event type's daily and weekly caps, counted over the
+ * owner-local day and week of `start`. Active holds count towards the caps.
+ * Must run inside the transaction holding lockHostCalendar.
+ */
+export async function assertWithinBookingLimits(client, { eventType, start, excludeIds = [] }) {
+  const limits = await getBookingLimits(eventType, client);
+  if (!hasBookingLimits(limits)) return;
+
+  const periods = getLimitPeriods(start, eventType.owner_timezone || 'UTC');
+
+  // A group session counts once however many seats are taken
+  const result = await client.query(
+    `SELECT
+       COUNT(DISTINCT (o.event_type_id, o.scheduled_at)) FILTER (WHERE o.scheduled_at >= $2 AND o.scheduled_at < $3) AS user_day,
+       COUNT(DISTINCT (o.event_type_id, o.scheduled_at)) AS user_week,
+       COUNT(DISTINCT o.scheduled_at) FILTER (WHERE o.event_type_id = $6 AND o.scheduled_at >= $2 AND o.scheduled_at < $3) AS event_day,
+       COUNT(DISTINCT o.scheduled_at) FILTER (WHERE o.event_type_id = $6) AS event_week,
+       COUNT(*) FILTER (WHERE o.event_type_id = $6 AND o.scheduled_at = $9) AS session_seats
+     FROM ${occupiedTimeSql('$1', '$8')} o
+     WHERE o.scheduled_at >= $4 AND o.scheduled_at < $5
+     AND NOT (o.id = ANY($7::uuid[]))`,
+    [eventType.user_id, periods.dayStart.toISOString(), periods.dayEnd.toISOString(),
+     periods.weekStart.toISOString(), periods.weekEnd.toISOString(), eventType.id, excludeIds, new Date().toISOString(),
+     start.toISOString()]
+  );
+
+  const row = result.rows[0];
+
+  // Joining a session that already exists adds no booking to the caps
+  if (parseInt(row.session_seats) > 0) return;
+
+  const reached = reachedBookingLimit(limits, {
+    userDay: parseInt(row.user_day),
+    userWeek: parseInt(row.user_week),
+    eventDay: parseInt(row.event_day),
+    eventWeek: parseInt(row.event_week)
+  });
+
+  if (reached === 'daily_limit') {
+    throw new ConflictError('No more bookings are available on this day', 'daily_limit');
+  }
+
+  if (reached === 'weekly_limit') {
+    throw new ConflictError('No more bookings are available this week', 'weekly_limit');
+  }
+}
+
+export const SLOT_HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES) || 10;
+
+// Remove holds that have run out; called opportunistically whenever holds are written
+export async function releaseExpiredHolds(client) {
+  await client.query('DELETE FROM slot_holds WHERE expires_at <= $1', [new Date().toISOString()]);
+}
+
+/**
+ * Reserve a slot for SLOT_HOLD_MINUTES while the guest completes checkout.
+ * Must run inside the transaction holding lockHostCalendar.
+ */
+export async function createSlotHold(client, { eventType, start, end, guestEmail }) {
+  await releaseExpiredHolds(client);
+  await assertNoBookingConflict(client, { eventType, start, end });
+  await assertWithinBookingLimits(client, { eventType, start });
+
+  const token = crypto.randomBytes(24).toString('hex');
+  const expiresAt = new Date(Date.now() + SLOT_HOLD_MINUTES * 60 * 1000);
+
+  const result = await client.query(
+    `INSERT INTO slot_holds (token, event_type_id, user_id, scheduled_at, end_time, guest_email, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id, token, scheduled_at, end_time, expires_at`,
+    [token, eventType.id, eventType.user_id, start.toISOString(), end.toISOString(), guestEmail || null, expiresAt.toISOString()]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Load and lock an unexpired hold for conversion into a booking.
+ * Must run inside the transaction holding lockHostCalendar.
+ */
+export async function findActiveHold(client, { token, eventType, start }) {
+  const result = await client.query(
+    `SELECT id, event_type_id, scheduled_at FROM slot_holds
+     WHERE token = $1 AND expires_at > $2
+     FOR UPDATE`,
+    [token, new Date().toISOString()]
+  );
+
+  const hold = result.rows[0];
+  if (!hold) {
+    throw new ConflictError('Your hold on this time slot has expired', 'hold_expired');
+  }
+
+  if (hold.event_type_id !== eventType.id || new Date(hold.scheduled_at).getTime() !== start.getTime()) {
+    throw new ConflictError('The hold does not match the requested time slot', 'hold_mismatch');
+  }
+
+  return hold;
+}
+
+// The host an unexpired hold was taken with, so the booking made from it goes to the same host
+export async function getHoldHost(token) {
+  const result = await pool.query(
+    'SELECT user_id FROM slot_holds WHERE token = $1 AND expires_at > $2',
+    [token, new Date().toISOString()]
+  );
+
+  if (result.rows.length === 0) {
+    throw new ConflictError('Your hold on this time slot has expired', 'hold_expired');
+  }
+
+  return result.rows[0].user_id;
+}
+
+/**
+ * Run `attempt(client, hostEventType)` under the calendar lock of the host who takes a new booking
+ * or hold at [start, end), once the start has passed assertBookableTime. A round-robin event type tries its hosts in the order of its assignment
+ * strategy, moving on while a host is unavailable or has a conflict; other event types use the owner.
+ * `hostId` limits the choice to one host. Returns what `attempt` returns.
+ */
+export async function withAssignedHost(eventType, { start, end, hostId = null }, attempt) {
+  assertBookableTime(eventType, start);
+
+  let hosts = [eventType];
+
+  if (eventType.assignment_strategy) {
+    // Load is counted over the owner-local week of the requested time
+    const { weekStart, weekEnd } = getLimitPeriods(start, eventType.owner_timezone || 'UTC');
+    const load = await getHostLoad(pool, eventType.id, weekStart, weekEnd);
+    hosts = rankHosts(load, eventType.assignment_strategy)
+      .filter(h => !hostId || h.userId === hostId)
+      .map(h => hostEventType(eventType, h));
+  }
+
+  for (const host of hosts) {
+    try {
+      await assertWithinSchedule(host, start, end);
+      return await withTransaction(async (client) => {
+        await lockHostCalendar(client, host.user_id);
+        return attempt(client, host);
+      });
+    } catch (error) {
+      // With a single candidate the guest is told exactly why the time cannot be booked
+      if (!(error instanceof ConflictError) || hosts.length === 1) throw error;
+    }
+  }
+
+  throw new ConflictError('No host is available at this time', 'no_host_available');
+}
+
+const HOUR = 60 * MINUTE;
+
+// Guest-facing link to view, cancel or reschedule a booking
+export function getManageUrl(booking) {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${frontendUrl}/bookings/manage/${generateManageToken(booking.id, booking.end_time)}`;
+}
+
+// Public link to the booking's .ics file, used by the Apple Calendar button in emails
+export function getCalendarFileUrl(booking) {
+  const apiUrl = (process.env.API_URL || 'http://localhost:5000').replace(/\/$/, '');
+  return `${apiUrl}/api/manage/${generateManageToken(booking.id, booking.end_time)}/calendar.ics`;
+}
+
+/**
+ * Calendar invite attached to guest emails: METHOD REQUEST for a new or moved booking, CANCEL
+ * when it is cancelled. Add-to-calendar links are included for requests.
+ * `recipients` (from getBookingRecipients) are listed as attendees; defaults to the guest.
+ */
+export function getCalendarInvite(booking, eventType, method = 'REQUEST', recipients = null) {
+  const invite = {
+    method,
+    ics: bookingInvite({
+      booking,
+      eventName: eventType.name,
+      organizerEmail: eventType.user_email,
+      attendees: recipients,
+      method
+    })
+  };
+
+  if (method === 'REQUEST') {
+    invite.links = calendarLinks({
+      title: eventType.name,
+      start: booking.scheduled_at,
+      end: booking.end_time,
+      details: [booking.description, booking.google_meet_link && `Join: ${booking.google_meet_link}`].filter(Boolean).join('\n\n'),
+      location: booking.google_meet_link
+    }, getCalendarFileUrl(booking));
+  }
+
+  return invite;
+}
+
+// The calendar file link carries the guest's manage token, so other attendees only get the attachment and web links
+function recipientInvite(invite, recipient) {
+  if (recipient.isGuest || !invite.links) return invite;
+  return { ...invite, links: { ...invite.links, apple: null } };
+}
+
+// The owner's cancellation policy; the user_settings defaults apply when no row exists
+export async function getCancellationPolicy(userId) {
+  const result = await pool.query(
+    'SELECT enable_cancellations, cancellation_notice_hours FROM user_settings WHERE user_id = $1',
+    [userId]
+  );
+  const settings = result.rows[0] || {};
+
+  return {
+    enableCancellations: settings.enable_cancellations ?? true,
+    cancellationNoticeHours: settings.cancellation_notice_hours ?? 24
+  };
+}
+
+// Why a guest may not cancel or reschedule the booking right now, or null when they may
+export function getGuestChangeRestriction(booking, policy, now = new Date()) {
+  if (booking.status !== 'confirmed') {
+    return 'This booking can no longer be changed';
+  }
+
+  if (!policy.enableCancellations) {
+    return 'The host does not allow bookings to be changed online';
+  }
+
+  if (new Date(booking.scheduled_at).getTime() - now.getTime() < policy.cancellationNoticeHours * HOUR) {
+    return `Bookings can only be changed at least ${policy.cancellationNoticeHours} hours in advance`;
+  }
+
+  return null;
+}
+
+/**
+ * The booking's event type with the host details needed to cancel or reschedule it. The host is
+ * the booking's user, who for a round-robin event type is the assigned host rather than the owner.
+ */
+export async function getBookingEventType(booking, db = pool) {
+  const result = await db.query(
+    `SELECT et.id, u.id AS user_id, et.name, et.duration_minutes, et.buffer_time_before, et.buffer_time_after, et.seats_per_slot,
+            et.min_advance_notice_minutes, et.max_advance_booking_days, u.email AS user_email, u.timezone AS owner_timezone
+     FROM event_types et
+     JOIN users u ON u.id = $2
+     WHERE et.id = $1`,
+    [booking.event_type_id, booking.user_id]
+  );
+  return result.rows[0];
+}
+
+// Record a change to a booking in the owner's audit log
+function auditBooking(db, booking, action, changes, actor = SYSTEM_ACTOR) {
+  return recordAudit(db, {
+    userId: booking.user_id,
+    action,
+    resourceType: 'booking',
+    resourceId: booking.id,
+    changes,
+    actor
+  });
+}
+
+// Bookings that still hold their slot and can be cancelled
+export const CANCELLABLE_STATUSES = ['confirmed', 'pending', 'pending_payment'];
+
+/**
+ * Cancel a booking and notify the guest and the owner. A booking waiting for payment also has its
+ * pending payment closed, so a late payment webhook cannot confirm it. Throws a ConflictError when
+ * the booking is no longer in a cancellable status.
+ */
+export async function cancelBooking({ booking, eventType, reason, actor }) {
+  const cancelledBooking = await withTransaction(async (client) => {
+    const cancelResult = await client.query(
+      `UPDATE bookings
+       SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, cancellation_reason = $1, ics_sequence = ics_sequence + 1
+       WHERE id = $2 AND user_id = $3 AND status = ANY($4::text[])
+       RETURNING ${BOOKING_COLUMNS}, cancelled_at, cancellation_reason`,
+      [reason || null, booking.id, booking.user_id, CANCELLABLE_STATUSES]
+    );
+
+    if (cancelResult.rows.length === 0) {
+      throw new ConflictError('This booking can no longer be cancelled', 'not_cancellable');
+    }
+
+    const paymentResult = await client.query(
+      `UPDATE payments SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+       WHERE booking_id = $1 AND status = 'pending'
+       RETURNING id`,
+      [booking.id]
+    );
+
+    await cancelReminders(client, booking.id);
+    await auditBooking(client, booking, 'booking.cancelled', {
+      ...diffChanges(booking, cancelResult.rows[0], ['status', 'cancellation_reason']),
+      ...(paymentResult.rows.length > 0 && diffChanges({ payment_status: 'pending' }, { payment_status: 'expired' }))
+    }, actor);
+    return cancelResult.rows[0];
+  });
+
+  // Remove the event from the organizer's and guest's calendars; failures are retried by the worker
+  await syncCalendarEvent(booking.id);
+
+  // Update analytics - record cancellation
+  try {
+    const today = new Date().toISOString().split('T')[0];
+    await pool.query(
+      `INSERT INTO analytics (user_id, event_type_id, action_type, cancellation_count, date)
+       VALUES ($1, $2, 'booking_cancelled', 1, $3)
+       ON CONFLICT (user_id, event_type_id, date)
+       DO UPDATE SET cancellation_count = COALESCE(analytics.cancellation_count, 0) + 1, updated_at = CURRENT_TIMESTAMP`,
+      [eventType.user_id, booking.event_type_id, today]
+    );
+    console.log(`✅ Analytics updated for cancelled booking ${booking.id}`);
+  } catch (analyticsError) {
+    console.error('Failed to update analytics:', analyticsError);
+  }
+
+  // Send cancellation email to the guest and their attendees
+  const recipients = await getBookingRecipients(pool, cancelledBooking);
+  const calendarInvite = getCalendarInvite(cancelledBooking, eventType, 'CANCEL', recipients);
+  for (const recipient of recipients) {
+    try {
+      await sendCancellationNotice({
+        guestName: recipient.name,
+        guestEmail: recipient.email,
+        eventName: eventType.name,
+        scheduledAt: new Date(booking.scheduled_at),
+        reason: reason || 'The consultation has been cancelled',
+        calendarInvite
+      });
+      console.log(`✅ Cancellation notice sent to ${recipient.email}`);
+    } catch (emailError) {
+      console.error('Failed to send cancellation email:', emailError);
+    }
+  }
+
+  // Send cancellation notification to owner
+  try {
+    if (eventType.user_email) {
+      await sendCancellationNotice({
+        guestName: `Booking Cancelled: ${booking.guest_name}`,
+        guestEmail: eventType.user_email,
+        eventName: eventType.name,
+        scheduledAt: new Date(booking.scheduled_at),
+        reason: reason || 'A scheduled consultation has been cancelled',
+        isOwnerNotification: true
+      });
+      console.log(`✅ Cancellation notification sent to owner ${eventType.user_email}`);
+    }
+  } catch (emailError) {
+    console.error('Failed to send owner cancellation notification:', emailError);
+  }
+
+  return cancelledBooking;
+}
+
+// Move a booking to a new start time after the same checks as a new booking, then notify the guest
+export async function rescheduleBooking({ booking, eventType, scheduledAt, actor }) {
+  const newStartTime = new Date(scheduledAt);
+  const newEndTime = new Date(newStartTime.getTime() + booking.duration_minutes * MINUTE);
+
+  // Check the new time against the event type's booking window, the host's availability and blocked times
+  assertBookableTime(eventType, newStartTime);
+  await assertWithinSchedule(eventType, newStartTime, newEndTime);
+
+  // Check for conflicts and move the booking under the host's calendar lock
+  const updatedBooking = await withTransaction(async (client) => {
+    await lockHostCalendar(client, booking.user_id);
+    await assertNoBookingConflict(client, {
+      eventType,
+      start: newStartTime,
+      end: newEndTime,
+      excludeIds: [booking.id]
+    });
+    await assertWithinBookingLimits(client, { eventType, start: newStartTime, excludeIds: [booking.id] });
+
+    const updateResult = await client.query(
+      `UPDATE bookings SET scheduled_at = $1, end_time = $2, ics_sequence = ics_sequence + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 RETURNING ${BOOKING_COLUMNS}`,
+      [newStartTime.toISOString(), newEndTime.toISOString(), booking.id]
+    );
+
+    await rescheduleReminders(client, updateResult.rows[0]);
+    await auditBooking(client, booking, 'booking.rescheduled',
+      diffChanges(booking, updateResult.rows[0], ['scheduled_at', 'end_time']), actor);
+    return updateResult.rows[0];
+  });
+
+  // Move the calendar event; failures are retried by the worker
+  let movedBooking = updatedBooking;
+  if (isGroupEventType(eventType)) {
+    movedBooking = await moveSeatCalendarEvent(updatedBooking, eventType);
+  } else {
+    await syncCalendarEvent(booking.id);
+  }
+
+  // Send rescheduling confirmation to the guest and their attendees; only the guest gets the manage link
+  const recipients = await getBookingRecipients(pool, movedBooking);
+  const calendarInvite = getCalendarInvite(movedBooking, eventType, 'REQUEST', recipients);
+  for (const recipient of recipients) {
+    try {
+      await sendBookingConfirmation({
+        guestName: recipient.name,
+        guestEmail: recipient.email,
+        eventName: eventType.name || 'Consultation',
+        scheduledAt: newStartTime,
+        duration: booking.duration_minutes,
+        meetLink: movedBooking.google_meet_link,
+        manageUrl: recipient.isGuest ? getManageUrl(updatedBooking) : null,
+        calendarInvite: recipientInvite(calendarInvite, recipient),
+        isRescheduleNotification: true
+      });
+      console.log(`✅ Reschedule confirmation sent to ${recipient.email}`);
+    } catch (emailError) {
+      console.error('Failed to send reschedule email:', emailError);
+    }
+  }
+
+  return movedBooking;
+}
+
+// Booking columns handed between the booking routes and the helpers below
+export const BOOKING_COLUMNS = `id, event_type_id, user_id, guest_name, guest_email, guest_phone, scheduled_at, end_time,
+  duration_minutes, description, custom_fields, status, approval_expires_at, payment_expires_at, google_meet_link, ics_sequence, created_at`;
+
+// A pending request holds its slot for the event type's approval window, but never past the meeting start
+export function getApprovalExpiry(eventType, start, now = new Date()) {
+  const windowEnd = new Date(now.getTime() + (eventType.approval_window_hours || 24) * HOUR);
+  return windowEnd < start ? windowEnd : start;
+}
+
+function isGroupEventType(eventType) {
+  return (eventType.seats_per_slot || 1) > 1;
+}
+
+// Serialize attaching calendar events to one group session until the surrounding transaction ends
+async function lockGroupSession(client, eventTypeId, start) {
+  await client.query(
+    'SELECT pg_advisory_xact_lock(hashtext($1))',
+    [`group-session:${eventTypeId}:${new Date(start).toISOString()}`]
+  );
+}
+
+// Create the booking's Google Meet event and store it on the booking; the booking is returned unchanged if Google fails
+async function createCalendarEvent(db, booking, eventType) {
+  const attendees = await getBookingAttendees(db, booking.id);
+
+  try {
+    const googleEvent = await createGoogleMeetEvent({
+      summary: isGroupEventType(eventType) ? eventType.name : `Consultation: ${booking.guest_name}`,
+      description: booking.description || `Consultation with ${booking.guest_name}`,
+      startTime: new Date(booking.scheduled_at),
+      endTime: new Date(booking.end_time),
+      attendeeEmail: booking.guest_email,
+      additionalAttendeeEmails: attendees.map(a => a.email),
+      organizerEmail: eventType.user_email
+    });
+
+    const updateResult = await db.query(
+      `UPDATE bookings SET google_meet_link = $1, google_calendar_event_id = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING ${BOOKING_COLUMNS}`,
+      [googleEvent?.meetLink || null, googleEvent?.eventId || null, booking.id]
+    );
+    return updateResult.rows[0];
+  } catch (googleError) {
+    console.error('Google Meet creation failed:', googleError);
+    // Continue with booking even if Google Meet fails
+    return booking;
+  }
+}
+
+/**
+ * Give a confirmed booking its Google Meet event. Seats of a group session share the event and
+ * Meet link of the session, so a later seat is added to the existing event instead. The session
+ * lock makes concurrent first seats take turns, so only one of them creates the shared event.
+ */
+async function attachCalendarEvent(booking, eventType) {
+  if (!isGroupEventType(eventType)) {
+    return createCalendarEvent(pool, booking, eventType);
+  }
+
+  const { attached, joined } = await withTransaction(async (client) => {
+    await lockGroupSession(client, booking.event_type_id, booking.scheduled_at);
+
+    const sessionResult = await client.query(
+      `SELECT google_meet_link, google_calendar_event_id FROM bookings
+       WHERE event_type_id = $1 AND scheduled_at = $2 AND id <> $3 AND status = 'confirmed'
+       AND deleted_at IS NULL AND google_calendar_event_id IS NOT NULL
+       LIMIT 1`,
+      [booking.event_type_id, new Date(booking.scheduled_at).toISOString(), booking.id]
+    );
+    const session = sessionResult.rows[0];
+
+    if (!session) {
+      return { attached: await createCalendarEvent(client, booking, eventType), joined: false };
+    }
+
+    const updateResult = await client.query(
+      `UPDATE bookings SET google_meet_link = $1, google_calendar_event_id = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING ${BOOKING_COLUMNS}`,
+      [session.google_meet_link, session.google_calendar_event_id, booking.id]
+    );
+    return { attached: updateResult.rows[0], joined: true };
+  });
+
+  // Adds the guest to the shared event once the seat is committed; failures are retried by the worker
+  if (joined) {
+    await syncCalendarEvent(booking.id);
+  }
+  return attached;
+}
+
+// A rescheduled seat leaves its old session's event, which stays for the other seats, and joins or starts one at its new time
+async function moveSeatCalendarEvent(booking, eventType) {
+  const previousResult = await pool.query(
+    'SELECT google_calendar_event_id FROM bookings WHERE id = $1',
+    [booking.id]
+  );
+  const previousEventId = previousResult.rows[0]?.google_calendar_event_id;
+
+  await pool.query(
+    `UPDATE bookings SET google_meet_link = NULL, google_calendar_event_id = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [booking.id]
+  );
+
+  if (previousEventId) {
+    const remainingResult = await pool.query(
+      `SELECT id FROM bookings
+       WHERE google_calendar_event_id = $1 AND status = 'confirmed' AND deleted_at IS NULL
+       LIMIT 1`,
+      [previousEventId]
+    );
+
+    if (remainingResult.rows[0]) {
+      await syncCalendarEvent(remainingResult.rows[0].id);
+    } else {
+      // The calendar sync deletes the old event; failures are retried by the worker
+      await pool.query(
+        `UPDATE bookings SET calendar_sync_stale_event_ids = array_append(calendar_sync_stale_event_ids, $2) WHERE id = $1`,
+        [booking.id, previousEventId]
+      );
+      await syncCalendarEvent(booking.id);
+    }
+  }
+
+  return attachCalendarEvent({ ...booking, google_meet_link: null }, eventType);
+}
+
+/**
+ * Side effects of a booking becoming confirmed: the Google Meet event, analytics and the
+ * confirmation emails. The owner is notified unless they confirmed it themselves.
+ */
+export async function confirmBooking({ booking, eventType, notifyOwner = true }) {
+  const startTime = new Date(booking.scheduled_at);
+
+  // Create the Google Meet event, or join the group session's, once the slot is secured
+  booking = await attachCalendarEvent(booking, eventType);
+  const meetLink = booking.google_meet_link;
+
+  // Update analytics
+  try {
+    const today = new Date().toISOString().split('T')[0];
+    await pool.query(
+      `INSERT INTO analytics (user_id, event_type_id, action_type, booking_count, date)
+       VALUES ($1, $2, 'booking_created', 1, $3)
+       ON CONFLICT (user_id, event_type_id, date)
+       DO UPDATE SET booking_count = COALESCE(analytics.booking_count, 0) + 1, updated_at = CURRENT_TIMESTAMP`,
+      [eventType.user_id, booking.event_type_id, today]
+    );
+    console.log(`✅ Analytics updated for booking ${booking.id}`);
+  } catch (analyticsError) {
+    console.error('Failed to update analytics:', analyticsError);
+  }
+
+  // Send confirmation email to the guest and their attendees; only the guest gets the manage link
+  const recipients = await getBookingRecipients(pool, booking);
+  const calendarInvite = getCalendarInvite({ ...booking, google_meet_link: meetLink }, eventType, 'REQUEST', recipients);
+  for (const recipient of recipients) {
+    try {
+      await sendBookingConfirmation({
+        guestName: recipient.name,
+        guestEmail: recipient.email,
+        eventName: eventType.name,
+        scheduledAt: startTime,
+        duration: booking.duration_minutes,
+        meetLink: meetLink,
+        manageUrl: recipient.isGuest ? getManageUrl(booking) : null,
+        calendarInvite: recipientInvite(calendarInvite, recipient)
+      });
+      console.log(`✅ Confirmation email sent to ${recipient.email}`);
+    } catch (emailError) {
+      console.error('Failed to send confirmation email:', emailError);
+    }
+  }
+
+  // Send notification email to owner
+  if (notifyOwner) {
+    try {
+      const questions = await getEventTypeQuestions(pool, booking.event_type_id);
+      await sendBookingConfirmation({
+        guestName: `New Booking: ${booking.guest_name}`,
+        guestEmail: eventType.user_email,
+        eventName: eventType.name,
+        scheduledAt: startTime,
+        duration: booking.duration_minutes,
+        meetLink: meetLink,
+        isOwnerNotification: true,
+        guestContactEmail: booking.guest_email,
+        guestPhone: booking.guest_phone,
+        answers: formatAnswers(questions, booking.custom_fields)
+      });
+      console.log(`✅ Owner notification sent to ${eventType.user_email}`);
+    } catch (emailError) {
+      console.error('Failed to send owner notification:', emailError);
+    }
+  }
+
+  return booking;
+}
+
+// Tell the guest their request was received and ask the owner to approve it
+export async function notifyBookingRequested({ booking, eventType }) {
+  try {
+    await sendBookingRequest({
+      guestName: booking.guest_name,
+      guestEmail: booking.guest_email,
+      eventName: eventType.name,
+      scheduledAt: new Date(booking.scheduled_at),
+      duration: booking.duration_minutes
+    });
+    console.log(`✅ Booking request acknowledgement sent to ${booking.guest_email}`);
+  } catch (emailError) {
+    console.error('Failed to send booking request email:', emailError);
+  }
+
+  try {
+    const questions = await getEventTypeQuestions(pool, booking.event_type_id);
+    await sendBookingRequest({
+      guestName: booking.guest_name,
+      guestEmail: eventType.user_email,
+      eventName: eventType.name,
+      scheduledAt: new Date(booking.scheduled_at),
+      duration: booking.duration_minutes,
+      approvalExpiresAt: booking.approval_expires_at,
+      isOwnerNotification: true,
+      guestContactEmail: booking.guest_email,
+      guestPhone: booking.guest_phone,
+      answers: formatAnswers(questions, booking.custom_fields)
+    });
+    console.log(`✅ Approval request sent to owner ${eventType.user_email}`);
+  } catch (emailError) {
+    console.error('Failed to send approval request to owner:', emailError);
+  }
+}
+
+// Confirm a pending booking that has not expired, then run the confirmation side effects
+export async function approveBooking({ bookingId, eventType, actor }) {
+  const booking = await withTransaction(async (client) => {
+    await lockHostCalendar(client, eventType.user_id);
+
+    const result = await client.query(
+      `SELECT id, user_id, status, approval_expires_at FROM bookings WHERE id = $1 AND status = 'pending' FOR UPDATE`,
+      [bookingId]
+    );
+
+    const pending = result.rows[0];
+    if (!pending) {
+      throw new ConflictError('This booking is no longer awaiting approval', 'not_pending');
+    }
+
+    // Once expired the slot was released and may have been booked by someone else
+    if (new Date(pending.approval_expires_at) <= new Date()) {
+      throw new ConflictError('This booking request has expired', 'approval_expired');
+    }
+
+    const updateResult = await client.query(
+      `UPDATE bookings SET status = 'confirmed', approval_expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${BOOKING_COLUMNS}`,
+      [bookingId]
+    );
+
+    await scheduleReminders(client, updateResult.rows[0]);
+    await auditBooking(client, pending, 'booking.approved',
+      diffChanges(pending, updateResult.rows[0], ['status', 'approval_expires_at']), actor);
+    return updateResult.rows[0];
+  });
+
+  return confirmBooking({ booking, eventType, notifyOwner: false });
+}
+
+async function notifyBookingDeclined(booking, eventType, reason) {
+  try {
+    await sendBookingDeclined({
+      guestName: booking.guest_name,
+      guestEmail: booking.guest_email,
+      eventName: eventType.name,
+      scheduledAt: new Date(booking.scheduled_at),
+      reason
+    });
+    console.log(`✅ Decline notice sent to ${booking.guest_email}`);
+  } catch (emailError) {
+    console.error('Failed to send decline email:', emailError);
+  }
+}
+
+// Decline a pending booking, releasing its slot, and email the guest
+export async function declineBooking({ bookingId, eventType, reason, actor }) {
+  const booking = await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE bookings
+       SET status = 'declined', declined_at = CURRENT_TIMESTAMP, decline_reason = $2,
+           approval_expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'pending'
+       RETURNING ${BOOKING_COLUMNS}, declined_at, decline_reason`,
+      [bookingId, reason || null]
+    );
+
+    const declined = result.rows[0];
+    if (!declined) {
+      throw new ConflictError('This booking is no longer awaiting approval', 'not_pending');
+    }
+
+    await auditBooking(client, declined, 'booking.declined',
+      diffChanges({ status: 'pending' }, declined, ['status', 'decline_reason']), actor);
+    return declined;
+  });
+
+  await notifyBookingDeclined(booking, eventType, reason);
+  return booking;
+}
+
+// Mark pending requests the owner did not answer in time as expired and tell the guests
+export async function expirePendingBookings() {
+  const expired = await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE bookings SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'pending' AND approval_expires_at <= $1
+       RETURNING ${BOOKING_COLUMNS}`,
+      [new Date().toISOString()]
+    );
+
+    for (const booking of result.rows) {
+      await auditBooking(client, booking, 'booking.expired', diffChanges({ status: 'pending' }, booking, ['status']));
+    }
+    return result.rows;
+  });
+
+  for (const booking of expired) {
+    const eventType = await getBookingEventType(booking);
+    await notifyBookingDeclined(booking, eventType, 'The host was not able to confirm your request in time');
+  }
+
+  return expired.length;
+}
+
+// Hours after a meeting ends before it is marked completed, leaving the owner time to record a no-show
+export const COMPLETION_GRACE_HOURS = parseInt(process.env.BOOKING_COMPLETION_GRACE_HOURS) || 24;
+
+// Keep analytics.no_show_count in step, on the row of the meeting's date
+async function adjustNoShowCount(booking, delta) {
+  try {
+    const meetingDate = new Date(booking.scheduled_at).toISOString().split('T')[0];
+    await pool.query(
+      `INSERT INTO analytics (user_id, event_type_id, action_type, no_show_count, date)
+       VALUES ($1, $2, 'booking_no_show', GREATEST($3, 0), $4)
+       ON CONFLICT (user_id, event_type_id, date)
+       DO UPDATE SET no_show_count = GREATEST(COALESCE(analytics.no_show_count, 0) + $3, 0), updated_at = CURRENT_TIMESTAMP`,
+      [booking.user_id, booking.event_type_id, delta, meetingDate]
+    );
+  } catch (analyticsError) {
+    console.error('Failed to update analytics:', analyticsError);
+  }
+}
+
+/**
+ * Record whether a meeting took place. Allowed once the meeting has started, and may correct
+ * an earlier outcome.
+ */
+export async function recordBookingOutcome({ booking, outcome, note, actor }) {
+  if (new Date(booking.scheduled_at) > new Date()) {
+    throw new ConflictError('An outcome can only be recorded once the meeting has started', 'not_started');
+  }
+
+  const updated = await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE bookings
+       SET status = $2, outcome_note = $3, outcome_recorded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id, status, outcome_note, outcome_recorded_at`,
+      [booking.id, outcome, note || null]
+    );
+
+    await auditBooking(client, booking, 'booking.outcome_recorded',
+      diffChanges(booking, result.rows[0], ['status', 'outcome_note']), actor);
+    return result.rows[0];
+  });
+
+  const wasNoShow = booking.status === 'no_show';
+  const isNoShow = outcome === 'no_show';
+  if (wasNoShow !== isNoShow) {
+    await adjustNoShowCount(booking, isNoShow ? 1 : -1);
+  }
+
+  return updated;
+}
+
+// Mark confirmed bookings that ended more than COMPLETION_GRACE_HOURS ago as completed
+export async function completePastBookings() {
+  const cutoff = new Date(Date.now() - COMPLETION_GRACE_HOURS * HOUR);
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE bookings
+       SET status = 'completed', outcome_recorded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'confirmed' AND deleted_at IS NULL AND end_time <= $1
+       RETURNING id, user_id, status`,
+      [cutoff.toISOString()]
+    );
+
+    for (const booking of result.rows) {
+      await auditBooking(client, booking, 'booking.completed', diffChanges({ status: 'confirmed' }, booking, ['status']));
+    }
+    return result.rows.length;
+  });
+}
+
+/**
+ * Add an attendee to a booking. They are added to the calendar event, and sent the confirmation
+ * once the booking is confirmed.
+ */
+export async function addAttendee({ booking, eventType, attendee, actor }) {
+  const added = await withTransaction(async (client) => {
+    const existing = await client.query(
+      'SELECT id FROM booking_attendees WHERE booking_id = $1 AND LOWER(email) = LOWER($2)',
+      [booking.id, attendee.email]
+    );
+    if (existing.rows.length > 0 || attendee.email.toLowerCase() === booking.guest_email.toLowerCase()) {
+      throw new ConflictError('This person is already attending the booking', 'duplicate_attendee');
+    }
+
+    const row = await addBookingAttendee(client, booking.id, attendee);
+    await client.query('UPDATE bookings SET ics_sequence = ics_sequence + 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [booking.id]);
+    await auditBooking(client, booking, 'booking.attendee_added',
+      diffChanges({}, { attendee: { email: row.email, name: row.name } }), actor);
+    return row;
+  });
+
+  await syncCalendarEvent(booking.id);
+
+  if (booking.status === 'confirmed') {
+    const bookingResult = await pool.query(`SELECT ${BOOKING_COLUMNS} FROM bookings WHERE id = $1`, [booking.id]);
+    const current = bookingResult.rows[0];
+    try {
+      await sendBookingConfirmation({
+        guestName: added.name || added.email,
+        guestEmail: added.email,
+        eventName: eventType.name,
+        scheduledAt: new Date(current.scheduled_at),
+        duration: current.duration_minutes,
+        meetLink: current.google_meet_link,
+        calendarInvite: recipientInvite(getCalendarInvite(current, eventType, 'REQUEST', await getBookingRecipients(pool, current)), added)
+      });
+      console.log(`✅ Confirmation email sent to added attendee ${added.email}`);
+    } catch (emailError) {
+      console.error('Failed to send confirmation to added attendee:', emailError);
+    }
+  }
+
+  return added;
+}
+
+// Remove an attendee from a booking and its calendar event, and tell them they were removed
+export async function removeAttendee({ booking, eventType, attendeeId, actor }) {
+  const removed = await withTransaction(async (client) => {
+    const result = await client.query(
+      'DELETE FROM booking_attendees WHERE id = $1 AND booking_id = $2 RETURNING id, email, name',
+      [attendeeId, booking.id]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+
+    await client.query('UPDATE bookings SET ics_sequence = ics_sequence + 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [booking.id]);
+    await auditBooking(client, booking, 'booking.attendee_removed',
+      diffChanges({ attendee: { email: row.email, name: row.name } }, {}, ['attendee']), actor);
+    return row;
+  });
+
+  if (!removed) {
+    return null;
+  }
+
+  await syncCalendarEvent(booking.id);
+
+  if (booking.status === 'confirmed') {
+    const bookingResult = await pool.query(`SELECT ${BOOKING_COLUMNS} FROM bookings WHERE id = $1`, [booking.id]);
+    const current = bookingResult.rows[0];
+    try {
+      await sendCancellationNotice({
+        guestName: removed.name || removed.email,
+        guestEmail: removed.email,
+        eventName: eventType.name,
+        scheduledAt: new Date(current.scheduled_at),
+        reason: 'You have been removed from this meeting',
+        calendarInvite: getCalendarInvite(current, eventType, 'CANCEL', [{ name: removed.name, email: removed.email }])
+      });
+      console.log(`✅ Removal notice sent to ${removed.email}`);
+    } catch (emailError) {
+      console.error('Failed to send removal notice:', emailError);
+    }
+  }
+
+  return removed;
+}
@@ -0,0 +1,137 @@
+import { pool } from '../config/database.js';
+import { updateGoogleMeetEvent, deleteGoogleMeetEvent } from './googleMeetService.js';
+
+const MINUTE = 60 * 1000;
+
+export const MAX_CALENDAR_SYNC_ATTEMPTS = parseInt(process.env.CALENDAR_SYNC_MAX_ATTEMPTS) || 8;
+
+// Statuses whose calendar event should no longer exist
+const REMOVED_STATUSES = ['cancelled', 'declined', 'expired'];
+
+// Wait before retrying a failed sync, growing with each attempt
+function retryDelayMinutes(attempts) {
+  return Math.min(5 * 2 ** (attempts - 1), 12 * 60);
+}
+
+function clearSyncState(bookingId) {
+  return pool.query(
+    `UPDATE bookings
+     SET calendar_sync_action = NULL, calendar_sync_error = NULL, calendar_sync_attempts = 0, calendar_sync_retry_at = NULL
+     WHERE id = $1`,
+    [bookingId]
+  );
+}
+
+async function recordSyncFailure(booking, action, error, isRetry) {
+  // A new change restarts the retry budget; a retry of the same change uses it up
+  const attempts = isRetry ? booking.calendar_sync_attempts + 1 : 1;
+  const retryAt = attempts < MAX_CALENDAR_SYNC_ATTEMPTS
+    ? new Date(Date.now() + retryDelayMinutes(attempts) * MINUTE)
+    : null;
+
+  await pool.query(
+    `UPDATE bookings
+     SET calendar_sync_action = $2, calendar_sync_error = $3, calendar_sync_attempts = $4, calendar_sync_retry_at = $5
+     WHERE id = $1`,
+    [booking.id, action, error || 'Unknown error', attempts, retryAt && retryAt.toISOString()]
+  );
+  console.error(`Calendar ${action} failed for booking ${booking.id} (attempt ${attempts}):`, error);
+
+  return { success: false, action, error };
+}
+
+/**
+ * Bring the booking's Google Calendar event in line with the booking: move it to the booking's
+ * current time and attendee list, or delete it once the booking is cancelled. Seats of a group
+ * session share one event, which lists every seat's guests and is only deleted with the last seat.
+ * Events a rescheduled seat left behind are deleted first.
+ * A failure is recorded on the booking and retried by the worker; the outcome is returned rather than thrown.
+ */
+export async function syncCalendarEvent(bookingId, { isRetry = false } = {}) {
+  const result = await pool.query(
+    `SELECT b.id, b.status, b.scheduled_at, b.end_time, b.guest_email, b.google_calendar_event_id,
+            b.calendar_sync_action, b.calendar_sync_attempts, b.calendar_sync_stale_event_ids, u.email AS owner_email
+     FROM bookings b
+     JOIN users u ON u.id = b.user_id
+     WHERE b.id = $1`,
+    [bookingId]
+  );
+  const booking = result.rows[0];
+
+  if (!booking) {
+    return { success: true, skipped: true };
+  }
+
+  for (const staleEventId of booking.calendar_sync_stale_event_ids) {
+    const outcome = await deleteGoogleMeetEvent(staleEventId);
+    if (!outcome.success) {
+      return recordSyncFailure(booking, 'delete', outcome.error, isRetry);
+    }
+    await pool.query(
+      `UPDATE bookings SET calendar_sync_stale_event_ids = array_remove(calendar_sync_stale_event_ids, $2) WHERE id = $1`,
+      [booking.id, staleEventId]
+    );
+  }
+
+  if (!booking.google_calendar_event_id) {
+    if (booking.calendar_sync_action) {
+      await clearSyncState(booking.id);
+    }
+    return { success: true, skipped: true };
+  }
+
+  // Active bookings on the event: this one, plus the other seats of a group session
+  const seatsResult = await pool.query(
+    `SELECT id, guest_email FROM bookings
+     WHERE google_calendar_event_id = $1 AND status <> ALL($2::text[]) AND deleted_at IS NULL
+     ORDER BY created_at`,
+    [booking.google_calendar_event_id, REMOVED_STATUSES]
+  );
+  const seats = seatsResult.rows;
+
+  const action = seats.length === 0 ? 'delete' : 'update';
+  let outcome;
+  if (action === 'delete') {
+    outcome = await deleteGoogleMeetEvent(booking.google_calendar_event_id);
+  } else {
+    const attendeesResult = await pool.query(
+      'SELECT email FROM booking_attendees WHERE booking_id = ANY($1::uuid[]) ORDER BY created_at',
+      [seats.map(seat => seat.id)]
+    );
+    outcome = await updateGoogleMeetEvent(booking.google_calendar_event_id, {
+      startTime: new Date(booking.scheduled_at),
+      endTime: new Date(booking.end_time),
+      attendeeEmails: [
+        ...seats.map(seat => seat.guest_email),
+        ...attendeesResult.rows.map(a => a.email),
+        booking.owner_email
+      ]
+    });
+  }
+
+  if (!outcome.success) {
+    return recordSyncFailure(booking, action, outcome.error, isRetry);
+  }
+
+  await clearSyncState(booking.id);
+  return { success: true, action };
+}
+
+// Retry calendar changes whose backoff has elapsed
+export async function retryCalendarSyncs({ limit = 50 } = {}) {
+  const result = await pool.query(
+    `SELECT id FROM bookings
+     WHERE calendar_sync_action IS NOT NULL AND calendar_sync_retry_at <= $1
+     ORDER BY calendar_sync_retry_at
+     LIMIT $2`,
+    [new Date().toISOString(), limit]
+  );
+
+  const summary = { synced: 0, failed: 0 };
+  for (const row of result.rows) {
+    const outcome = await syncCalendarEvent(row.id, { isRetry: true });
+    summary[outcome.success ? 'synced' : 'failed']++;
+  }
+
+  return summary;
+}
@@ -4,6 +4,44 @@ import { format } from 'date-fns';
 const resend = new Resend(process.env.RESEND_API_KEY);
 const FROM_EMAIL = process.env.FROM_EMAIL || 'noreply@amromeet.com';
 
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// .ics attachment for a calendar invite from getCalendarInvite
+function inviteAttachments(calendarInvite) {
+  if (!calendarInvite) return undefined;
+  return [{
+    filename: calendarInvite.method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+    content: Buffer.from(calendarInvite.ics).toString('base64'),
+    content_type: `text/calendar; method=${calendarInvite.method}; charset=UTF-8`
+  }];
+}
+
+function renderCalendarLinks(links) {
+  if (!links) return '';
+  return `
+    <p style="margin: 15px 0;">
+      <strong>Add to calendar:</strong>
+      <a href="${escapeHtml(links.google)}">Google</a> &middot;
+      <a href="${escapeHtml(links.outlook)}">Outlook</a>${links.apple ? ` &middot;
+      <a href="${escapeHtml(links.apple)}">Apple</a>` : ''}
+    </p>
+  `;
+}
+
+// Guest answers to the event type's booking questions, as booking detail lines
+function renderAnswers(answers = []) {
+  return answers.map(({ label, value }) => {
+    const text = Array.isArray(value) ? value.join(', ') : typeof value === 'boolean' ? (value ? 'Yes' : 'No') : value;
+    return `<p><strong>${escapeHtml(label)}:</strong> ${escapeHtml(text)}</p>`;
+  }).join('');
+}
+
 export async function sendBookingConfirmation(bookingData) {
   try {
     const {
@@ -13,9 +51,13 @@ export async function sendBookingConfirmation(bookingData) {
       scheduledAt,
       duration,
       meetLink,
+      manageUrl,
+      calendarInvite,
       isOwnerNotification = false,
+      isRescheduleNotification = false,
       guestContactEmail,
-      guestPhone
+      guestPhone,
+      answers
     } = bookingData;
 
     const formattedDate = format(new Date(scheduledAt), 'MMMM d, yyyy');
@@ -63,6 +105,7 @@ export async function sendBookingConfirmation(bookingData) {
                   <p><strong>Date:</strong> ${formattedDate}</p>
                   <p><strong>Time:</strong> ${formattedTime}</p>
                   <p><strong>Duration:</strong> ${duration} minutes</p>
+                  ${renderAnswers(answers)}
                   ${meetLink ? `<p><a href="${meetLink}" class="button">Join Meeting</a></p>` : ''}
                 </div>
 
@@ -103,13 +146,15 @@ export async function sendBookingConfirmation(bookingData) {
           <body>
             <div class="container">
               <div class="header">
-                <h2>✓ Your Booking is Confirmed!</h2>
+                <h2>${isRescheduleNotification ? '📅 Your Booking Has Been Rescheduled' : '✓ Your Booking is Confirmed!'}</h2>
               </div>
 
               <div class="content">
                 <p>Hi ${guestName},</p>
 
-                <p>Thank you for booking with us! Your consultation is confirmed and ready to go.</p>
+                ${isRescheduleNotification
+                  ? '<p>Your consultation has been moved to a new time. The updated details are below.</p>'
+                  : '<p>Thank you for booking with us! Your consultation is confirmed and ready to go.</p>'}
 
                 <div class="booking-details">
                   <h3 style="margin-top: 0; color: #14b8a6;">Booking Details</h3>
@@ -120,11 +165,17 @@ export async function sendBookingConfirmation(bookingData) {
                   ${meetLink ? `<p><a href="${meetLink}" class="button">Join Google Meet</a></p>` : ''}
                 </div>
 
+                ${renderCalendarLinks(calendarInvite?.links)}
+
                 <p style="background: #fef3c7; padding: 12px; border-radius: 6px; border-left: 4px solid #f59e0b;">
                   <strong>💡 Tip:</strong> Please join 5 minutes early to test your audio and video.
                 </p>
 
-                <p>If you need to reschedule or have any questions, please reply to this email.</p>
+                ${manageUrl ? `
+                  <p>Need to make a change? <a href="${manageUrl}">Reschedule or cancel this booking</a>.</p>
+                ` : `
+                  <p>If you need to reschedule or have any questions, please reply to this email.</p>
+                `}
 
                 <p style="margin-top: 30px;">
                   Looking forward to meeting you!<br>
@@ -145,8 +196,9 @@ export async function sendBookingConfirmation(bookingData) {
     const result = await resend.emails.send({
       from: FROM_EMAIL,
       to: guestEmail,
-      subject: `Booking Confirmed: ${eventName} on ${formattedDate}`,
-      html: html
+      subject: `${isRescheduleNotification ? 'Booking Rescheduled' : 'Booking Confirmed'}: ${eventName} on ${formattedDate}`,
+      html: html,
+      attachments: inviteAttachments(calendarInvite)
     });
 
     console.log(`✅ Booking confirmation sent to ${guestEmail}`);
@@ -165,7 +217,8 @@ export async function sendBookingReminder(bookingData) {
       eventName,
       scheduledAt,
       meetLink,
-      hoursUntilBooking
+      hoursUntilBooking,
+      timeUntilBooking = `${hoursUntilBooking} hours`
     } = bookingData;
 
     const formattedTime = format(new Date(scheduledAt), 'h:mm a');
@@ -196,7 +249,7 @@ export async function sendBookingReminder(bookingData) {
 
               <p>This is a friendly reminder about your upcoming consultation with us.</p>
 
-              <p><strong>Consultation starts in ${hoursUntilBooking} hours at ${formattedTime}</strong></p>
+              <p><strong>Consultation starts in ${timeUntilBooking} at ${formattedTime}</strong></p>
 
               ${meetLink ? `
                 <p>
@@ -232,6 +285,219 @@ export async function sendBookingReminder(bookingData) {
   }
 }
 
+export async function sendBookingFollowUp(bookingData) {
+  try {
+    const {
+      guestName,
+      guestEmail,
+      eventName
+    } = bookingData;
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #14b8a6 0%, #0d9488 100%); color: white; padding: 30px; border-radius: 8px; margin-bottom: 30px; text-align: center; }
+            .header h2 { margin: 0; }
+            .content { background: #f8fafc; padding: 20px; border-radius: 8px; }
+            .footer { color: #666; font-size: 12px; margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0; text-align: center; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h2>🙏 Thank You for Meeting With Us!</h2>
+            </div>
+
+            <div class="content">
+              <p>Hi ${guestName},</p>
+
+              <p>Thank you for taking the time to join <strong>${eventName}</strong>.</p>
+
+              <p>If you have any follow-up questions, just reply to this email and we'll get back to you.</p>
+
+              <p>We look forward to speaking with you again!</p>
+            </div>
+
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} Amromeet. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const result = await resend.emails.send({
+      from: FROM_EMAIL,
+      to: guestEmail,
+      subject: `Thank you: ${eventName}`,
+      html: html
+    });
+
+    console.log(`✅ Follow-up sent to ${guestEmail}`);
+    return result;
+  } catch (error) {
+    console.error('Error sending follow-up:', error);
+    throw error;
+  }
+}
+
+export async function sendBookingRequest(bookingData) {
+  try {
+    const {
+      guestName,
+      guestEmail,
+      eventName,
+      scheduledAt,
+      duration,
+      approvalExpiresAt,
+      isOwnerNotification = false,
+      guestContactEmail,
+      guestPhone,
+      answers
+    } = bookingData;
+
+    const formattedDate = format(new Date(scheduledAt), 'MMMM d, yyyy');
+    const formattedTime = format(new Date(scheduledAt), 'h:mm a');
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #14b8a6 0%, #0d9488 100%); color: white; padding: 30px; border-radius: 8px; margin-bottom: 30px; text-align: center; }
+            .header h2 { margin: 0; }
+            .content { background: #f8fafc; padding: 20px; border-radius: 8px; }
+            .booking-details { background: white; padding: 15px; border-radius: 6px; border-left: 4px solid #14b8a6; margin: 15px 0; }
+            .booking-details p { margin: 8px 0; }
+            .booking-details strong { color: #14b8a6; }
+            .footer { color: #666; font-size: 12px; margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0; text-align: center; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h2>${isOwnerNotification ? '📥 New Booking Request' : '⏳ Booking Request Received'}</h2>
+            </div>
+
+            <div class="content">
+              <p>Hi${isOwnerNotification ? '' : ` ${escapeHtml(guestName)}`},</p>
+
+              ${isOwnerNotification
+                ? `<p><strong>${escapeHtml(guestName)}</strong> has requested a booking that needs your approval.</p>`
+                : '<p>Thank you for your request! The host will review it and you will receive a confirmation email once it is approved.</p>'}
+
+              <div class="booking-details">
+                ${isOwnerNotification ? `<p><strong>Guest Email:</strong> ${escapeHtml(guestContactEmail)}</p>` : ''}
+                ${isOwnerNotification && guestPhone ? `<p><strong>Guest Phone:</strong> ${escapeHtml(guestPhone)}</p>` : ''}
+                <p><strong>Event:</strong> ${escapeHtml(eventName)}</p>
+                <p><strong>Date:</strong> ${formattedDate}</p>
+                <p><strong>Time:</strong> ${formattedTime}</p>
+                <p><strong>Duration:</strong> ${duration} minutes</p>
+                ${isOwnerNotification ? renderAnswers(answers) : ''}
+              </div>
+
+              ${isOwnerNotification && approvalExpiresAt
+                ? `<p>Please approve or decline it in your Amromeet dashboard before ${format(new Date(approvalExpiresAt), 'MMMM d, yyyy h:mm a')}, when the time slot is released.</p>`
+                : ''}
+            </div>
+
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} Amromeet. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const result = await resend.emails.send({
+      from: FROM_EMAIL,
+      to: guestEmail,
+      subject: isOwnerNotification ? `Approval Needed: ${eventName} with ${guestName}` : `Booking Requested: ${eventName} on ${formattedDate}`,
+      html: html
+    });
+
+    console.log(`✅ Booking request email sent to ${guestEmail}`);
+    return result;
+  } catch (error) {
+    console.error('Error sending booking request email:', error);
+    throw error;
+  }
+}
+
+export async function sendBookingDeclined(bookingData) {
+  try {
+    const {
+      guestName,
+      guestEmail,
+      eventName,
+      scheduledAt,
+      reason
+    } = bookingData;
+
+    const formattedDate = format(new Date(scheduledAt), 'MMMM d, yyyy');
+    const formattedTime = format(new Date(scheduledAt), 'h:mm a');
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #dc2626; color: white; padding: 30px; border-radius: 8px; margin-bottom: 30px; text-align: center; }
+            .header h2 { margin: 0; }
+            .content { background: #f8fafc; padding: 20px; border-radius: 8px; }
+            .footer { color: #666; font-size: 12px; margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0; text-align: center; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h2>Booking Request Declined</h2>
+            </div>
+
+            <div class="content">
+              <p>Hi ${escapeHtml(guestName)},</p>
+
+              <p>Unfortunately your request for <strong>${escapeHtml(eventName)}</strong> on <strong>${formattedDate} at ${formattedTime}</strong> could not be accepted.</p>
+
+              ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+
+              <p>You are welcome to request another time that suits you.</p>
+            </div>
+
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} Amromeet. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const result = await resend.emails.send({
+      from: FROM_EMAIL,
+      to: guestEmail,
+      subject: `Booking Request Declined: ${eventName}`,
+      html: html
+    });
+
+    console.log(`✅ Decline notice sent to ${guestEmail}`);
+    return result;
+  } catch (error) {
+    console.error('Error sending decline notice:', error);
+    throw error;
+  }
+}
+
 export async function sendCancellationNotice(bookingData) {
   try {
     const {
@@ -240,6 +506,7 @@ export async function sendCancellationNotice(bookingData) {
       eventName,
       scheduledAt,
       reason,
+      calendarInvite,
       isOwnerNotification = false
     } = bookingData;
 
@@ -342,7 +609,8 @@ export async function sendCancellationNotice(bookingData) {
       from: FROM_EMAIL,
       to: guestEmail,
       subject: isOwnerNotification ? `Booking Cancelled: ${eventName}` : `Consultation Cancelled: ${eventName}`,
-      html: html
+      html: html,
+      attachments: inviteAttachments(calendarInvite)
     });
 
     console.log(`✅ Cancellation notice sent to ${guestEmail}`);
@@ -56,10 +56,11 @@ export async function createGoogleMeetEvent(eventData) {
           },
         },
       },
-      attendees: eventData.attendeeEmail ? [
-        { email: eventData.attendeeEmail },
+      attendees: [
+        ...(eventData.attendeeEmail ? [{ email: eventData.attendeeEmail }] : []),
+        ...(eventData.additionalAttendeeEmails || []).map(email => ({ email })),
         { email: eventData.organizerEmail }
-      ] : [{ email: eventData.organizerEmail }],
+      ],
       guestCanModify: false,
       guestCanInviteOthers: false,
       guestCanSeeGuests: false,
@@ -104,21 +105,18 @@ export async function updateGoogleMeetEvent(eventId, eventData) {
 
     const calendar = google.calendar({ version: 'v3', auth });
 
-    const response = await calendar.events.update({
+    // Patch only the given fields so attendees and the Meet conference are kept
+    const resource = {};
+    if (eventData.summary) resource.summary = eventData.summary;
+    if (eventData.description) resource.description = eventData.description;
+    if (eventData.startTime) resource.start = { dateTime: eventData.startTime.toISOString(), timeZone: 'UTC' };
+    if (eventData.endTime) resource.end = { dateTime: eventData.endTime.toISOString(), timeZone: 'UTC' };
+    if (eventData.attendeeEmails) resource.attendees = eventData.attendeeEmails.map(email => ({ email }));
+
+    const response = await calendar.events.patch({
       calendarId: 'primary',
       eventId: eventId,
-      resource: {
-        summary: eventData.summary,
-        description: eventData.description,
-        start: {
-          dateTime: eventData.startTime.toISOString(),
-          timeZone: 'UTC',
-        },
-        end: {
-          dateTime: eventData.endTime.toISOString(),
-          timeZone: 'UTC',
-        },
-      },
+      resource,
       sendUpdates: 'all',
     });
 
@@ -0,0 +1,118 @@
+// Hosts of round-robin event types, who take the event type's bookings in turn. Hosts other than
+// the owner are invited and take bookings only once they have accepted.
+
+// `acceptedOnly` leaves out hosts who have not accepted their invite yet
+export async function getEventTypeHosts(db, eventTypeId, { acceptedOnly = false } = {}) {
+  const result = await db.query(
+    `SELECT h.user_id, h.weight, h.accepted_at, u.email, u.first_name, u.last_name, u.timezone
+     FROM event_type_hosts h
+     JOIN users u ON u.id = h.user_id
+     WHERE h.event_type_id = $1 ${acceptedOnly ? 'AND h.accepted_at IS NOT NULL' : ''}
+     ORDER BY h.created_at, u.email`,
+    [eventTypeId]
+  );
+  return result.rows;
+}
+
+/**
+ * Replace an event type's hosts; `hosts` are { userId, weight }. Hosts who stay keep their
+ * acceptance, the owner is accepted on being added and everyone else is invited.
+ */
+export async function replaceEventTypeHosts(db, eventTypeId, ownerId, hosts) {
+  await db.query(
+    'DELETE FROM event_type_hosts WHERE event_type_id = $1 AND NOT (user_id = ANY($2::uuid[]))',
+    [eventTypeId, hosts.map(h => h.userId)]
+  );
+
+  for (const host of hosts) {
+    await db.query(
+      `INSERT INTO event_type_hosts (event_type_id, user_id, weight, accepted_at)
+       VALUES ($1, $2, $3, CASE WHEN $2::uuid = $4::uuid THEN CURRENT_TIMESTAMP END)
+       ON CONFLICT (event_type_id, user_id) DO UPDATE SET weight = EXCLUDED.weight`,
+      [eventTypeId, host.userId, host.weight, ownerId]
+    );
+  }
+}
+
+// Round-robin event types the user has been invited to host and has not answered yet
+export async function getHostInvites(db, userId) {
+  const result = await db.query(
+    `SELECT et.id AS event_type_id, et.name AS event_name, et.duration_minutes, h.weight, h.created_at,
+            u.email AS owner_email, u.first_name AS owner_first_name, u.last_name AS owner_last_name
+     FROM event_type_hosts h
+     JOIN event_types et ON et.id = h.event_type_id AND et.deleted_at IS NULL
+     JOIN users u ON u.id = et.user_id
+     WHERE h.user_id = $1 AND h.accepted_at IS NULL
+     ORDER BY h.created_at`,
+    [userId]
+  );
+  return result.rows;
+}
+
+export function formatHostInvite(i) {
+  return {
+    eventTypeId: i.event_type_id,
+    eventName: i.event_name,
+    durationMinutes: i.duration_minutes,
+    weight: i.weight,
+    owner: {
+      email: i.owner_email,
+      firstName: i.owner_first_name,
+      lastName: i.owner_last_name
+    },
+    invitedAt: i.created_at
+  };
+}
+
+export function formatHost(h) {
+  return {
+    userId: h.user_id,
+    email: h.email,
+    firstName: h.first_name,
+    lastName: h.last_name,
+    timezone: h.timezone,
+    weight: h.weight,
+    status: h.accepted_at ? 'accepted' : 'invited'
+  };
+}
+
+/**
+ * Each accepted host with their last booking of the event type and their bookings of it scheduled in
+ * [weekStart, weekEnd), in the shape rankHosts expects. Cancelled, declined and expired bookings do not count.
+ */
+export async function getHostLoad(db, eventTypeId, weekStart, weekEnd) {
+  const result = await db.query(
+    `SELECT h.user_id, h.weight, u.email, u.timezone,
+            MAX(b.created_at) AS last_booked_at,
+            COUNT(b.id) FILTER (WHERE b.scheduled_at >= $2 AND b.scheduled_at < $3) AS week_bookings
+     FROM event_type_hosts h
+     JOIN users u ON u.id = h.user_id
+     LEFT JOIN bookings b ON b.event_type_id = h.event_type_id AND b.user_id = h.user_id AND b.deleted_at IS NULL
+       AND b.status IN ('confirmed', 'pending', 'pending_payment', 'completed', 'no_show')
+     WHERE h.event_type_id = $1 AND h.accepted_at IS NOT NULL
+     GROUP BY h.user_id, h.weight, u.email, u.timezone`,
+    [eventTypeId, weekStart.toISOString(), weekEnd.toISOString()]
+  );
+
+  return result.rows.map(r => ({
+    userId: r.user_id,
+    email: r.email,
+    timezone: r.timezone,
+    weight: r.weight,
+    lastBookedAt: r.last_booked_at ? new Date(r.last_booked_at) : null,
+    weekBookings: parseInt(r.week_bookings)
+  }));
+}
+
+/**
+ * The event type as booked with one of its hosts: availability, conflicts, caps and emails
+ * use the host's calendar, time zone and address in place of the owner's.
+ */
+export function hostEventType(eventType, host) {
+  return {
+    ...eventType,
+    user_id: host.userId,
+    user_email: host.email,
+    owner_timezone: host.timezone
+  };
+}
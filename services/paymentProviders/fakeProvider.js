@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+import { WebhookSignatureError } from '../../utils/errors.js';
+
+// A stand-in for a real payment provider in development and tests. Checkout pages are served by
+// routes/payments.js, which completes a payment by sending this provider's signed webhook.
+// Webhooks are signed with FAKE_PAYMENT_WEBHOOK_SECRET, which has no default.
+function getWebhookSecret() {
+  const secret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('FAKE_PAYMENT_WEBHOOK_SECRET is not set');
+  }
+  return secret;
+}
+
+const EVENT_TYPES = {
+  'payment.succeeded': 'succeeded',
+  'payment.failed': 'failed',
+  'payment.expired': 'expired'
+};
+
+export function signFakeWebhook(rawBody) {
+  return crypto.createHmac('sha256', getWebhookSecret()).update(rawBody).digest('hex');
+}
+
+// Webhook body and signature header for a fake payment event, e.g. ('payment.succeeded', 'fake_...')
+export function buildFakeWebhook(type, paymentId) {
+  const rawBody = JSON.stringify({ type, data: { paymentId } });
+  return { rawBody, headers: { 'x-fake-signature': signFakeWebhook(rawBody) } };
+}
+
+export default {
+  name: 'fake',
+
+  async createCheckout({ reference }) {
+    getWebhookSecret();
+    const paymentId = `fake_${crypto.randomBytes(12).toString('hex')}`;
+    const apiUrl = (process.env.API_URL || 'http://localhost:5000').replace(/\/$/, '');
+    console.log(`✅ Fake checkout started for booking ${reference}`);
+    return { paymentId, checkoutUrl: `${apiUrl}/api/payments/fake/${paymentId}` };
+  },
+
+  parseWebhook(rawBody, headers) {
+    const signature = Buffer.from(String(headers['x-fake-signature'] || ''));
+    const expected = Buffer.from(signFakeWebhook(rawBody));
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+      throw new WebhookSignatureError();
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    const type = EVENT_TYPES[event.type];
+    return type && event.data?.paymentId ? { type, paymentId: event.data.paymentId } : null;
+  }
+};
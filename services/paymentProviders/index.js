@@ -0,0 +1,49 @@
+import fakeProvider from './fakeProvider.js';
+
+/**
+ * Payment providers take the guest's payment for paid event types. A provider is an object with:
+ *
+ *   name: stored on each payment and used in the webhook URL (/api/payments/webhooks/:name)
+ *   createCheckout({ reference, amount, currency, description, customerEmail, expiresAt })
+ *     -> { paymentId, checkoutUrl }: starts a payment and returns the page the guest pays on.
+ *     `amount` is a decimal string in the currency's major unit, `reference` is the booking id.
+ *   parseWebhook(rawBody, headers)
+ *     -> { type: 'succeeded' | 'failed' | 'expired', paymentId }, or null for events that do not
+ *     concern us. Throws a WebhookSignatureError when the request was not signed by the provider.
+ */
+const PROVIDERS = {
+  [fakeProvider.name]: fakeProvider
+};
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// The fake provider is the default outside production, so paid event types work locally without keys
+export function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || (isProduction() ? null : 'fake')) {
+  if (name === fakeProvider.name && isProduction()) {
+    throw new Error('The fake payment provider cannot be used in production');
+  }
+
+  const provider = name && findPaymentProvider(name);
+  if (!provider) {
+    throw new Error(name ? `Unknown payment provider: ${name}` : 'No payment provider is configured');
+  }
+  return provider;
+}
+
+// Whether paid bookings can be taken
+export function isPaymentConfigured() {
+  try {
+    getPaymentProvider();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The fake provider takes no money, so its webhooks are not accepted in production
+export function findPaymentProvider(name) {
+  if (!Object.hasOwn(PROVIDERS, name) || (name === fakeProvider.name && isProduction())) {
+    return null;
+  }
+  return PROVIDERS[name];
+}
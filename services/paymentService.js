@@ -0,0 +1,260 @@
+import { pool, withTransaction } from '../config/database.js';
+import { ConflictError, PaymentProviderError } from '../utils/errors.js';
+import { getPaymentProvider } from './paymentProviders/index.js';
+import { recordAudit, diffChanges, SYSTEM_ACTOR } from './auditService.js';
+import { scheduleReminders } from './reminderService.js';
+import {
+  BOOKING_COLUMNS,
+  lockHostCalendar,
+  assertNoBookingConflict,
+  getBookingEventType,
+  confirmBooking
+} from './bookingService.js';
+
+const MINUTE = 60 * 1000;
+
+// How long a booking waiting for payment holds its slot
+export const PAYMENT_WINDOW_MINUTES = parseInt(process.env.PAYMENT_WINDOW_MINUTES) || 30;
+
+const PAYMENT_COLUMNS = `id, booking_id, user_id, provider, provider_payment_id, amount, currency, status, checkout_url,
+  paid_at, created_at`;
+
+export function isPaidEventType(eventType) {
+  return eventType.price !== null && eventType.price !== undefined && parseFloat(eventType.price) > 0;
+}
+
+// DECIMAL columns come back from pg as strings
+export function formatAmount(amount) {
+  return amount === null || amount === undefined ? null : parseFloat(amount);
+}
+
+// A booking waiting for payment holds its slot for the payment window, but never past the meeting start
+export function getPaymentExpiry(start, now = new Date()) {
+  const windowEnd = new Date(now.getTime() + PAYMENT_WINDOW_MINUTES * MINUTE);
+  return windowEnd < start ? windowEnd : start;
+}
+
+export function formatPayment(payment, booking) {
+  return {
+    id: payment.id,
+    provider: payment.provider,
+    amount: formatAmount(payment.amount),
+    currency: payment.currency,
+    status: payment.status,
+    checkoutUrl: payment.status === 'pending' ? payment.checkout_url : null,
+    expiresAt: booking?.payment_expires_at ?? null,
+    paidAt: payment.paid_at
+  };
+}
+
+export async function getBookingPayment(bookingId) {
+  const result = await pool.query(
+    `SELECT ${PAYMENT_COLUMNS} FROM payments WHERE booking_id = $1 ORDER BY created_at DESC LIMIT 1`,
+    [bookingId]
+  );
+  return result.rows[0] || null;
+}
+
+// Record a change to a booking in the owner's audit log; payment changes are made by the system
+function auditBooking(db, booking, action, changes) {
+  return recordAudit(db, {
+    userId: booking.user_id,
+    action,
+    resourceType: 'booking',
+    resourceId: booking.id,
+    changes,
+    actor: SYSTEM_ACTOR
+  });
+}
+
+// Release the slot of a booking whose payment will not arrive
+async function expireUnpaidBooking(client, bookingId, paymentStatus) {
+  const result = await client.query(
+    `UPDATE bookings SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'pending_payment'
+     RETURNING ${BOOKING_COLUMNS}`,
+    [bookingId]
+  );
+  const booking = result.rows[0];
+  if (booking) {
+    await auditBooking(client, booking, 'booking.expired',
+      diffChanges({ status: 'pending_payment', payment_status: 'pending' }, { status: 'expired', payment_status: paymentStatus }));
+  }
+  return booking;
+}
+
+/**
+ * Start the guest's payment for a booking created as pending_payment. If the provider cannot
+ * start a checkout the booking is expired, releasing its slot, and a PaymentProviderError is thrown.
+ */
+export async function startCheckout({ booking, eventType }) {
+  let provider;
+  let checkout;
+  try {
+    provider = getPaymentProvider();
+    checkout = await provider.createCheckout({
+      reference: booking.id,
+      amount: eventType.price,
+      currency: eventType.currency,
+      description: eventType.name,
+      customerEmail: booking.guest_email,
+      expiresAt: new Date(booking.payment_expires_at)
+    });
+  } catch (providerError) {
+    console.error('Failed to start checkout:', providerError);
+    await withTransaction(client => expireUnpaidBooking(client, booking.id, 'failed'));
+    throw new PaymentProviderError();
+  }
+
+  const result = await pool.query(
+    `INSERT INTO payments (booking_id, user_id, provider, provider_payment_id, amount, currency, checkout_url)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING ${PAYMENT_COLUMNS}`,
+    [booking.id, booking.user_id, provider.name, checkout.paymentId, eventType.price, eventType.currency, checkout.checkoutUrl]
+  );
+  return result.rows[0];
+}
+
+// Add a received payment to analytics.revenue, on the row of the day it was paid
+async function recordRevenue(booking, payment) {
+  try {
+    const paidDate = new Date(payment.paid_at).toISOString().split('T')[0];
+    await pool.query(
+      `INSERT INTO analytics (user_id, event_type_id, action_type, revenue, date)
+       VALUES ($1, $2, 'payment_received', $3, $4)
+       ON CONFLICT (user_id, event_type_id, date)
+       DO UPDATE SET revenue = COALESCE(analytics.revenue, 0) + $3, updated_at = CURRENT_TIMESTAMP`,
+      [booking.user_id, booking.event_type_id, payment.amount, paidDate]
+    );
+  } catch (analyticsError) {
+    console.error('Failed to update analytics:', analyticsError);
+  }
+}
+
+// A payment collected for a booking that can no longer take place is kept for a refund, not counted as revenue
+async function markRefundRequired(client, payment, booking, reason) {
+  const result = await client.query(
+    `UPDATE payments SET status = 'refund_required', paid_at = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2
+     RETURNING ${PAYMENT_COLUMNS}`,
+    [new Date().toISOString(), payment.id]
+  );
+  const refund = result.rows[0];
+  await auditBooking(client, booking, 'booking.refund_required', diffChanges(
+    { payment_status: payment.status },
+    { payment_status: 'refund_required', amount: refund.amount, currency: refund.currency }
+  ));
+  console.error(`❌ Payment ${refund.id} arrived after booking ${booking.id} ${reason} and needs a refund`);
+  return { payment: refund, booking };
+}
+
+/**
+ * Apply a payment event from a provider webhook: a successful payment confirms the booking,
+ * a failed or expired one releases its slot. A success for a booking that was cancelled,
+ * expired or lost its slot is stored as refund_required. Repeated deliveries of an event are ignored.
+ * Returns the updated payment, or null when the payment is unknown or was already settled.
+ */
+export async function handlePaymentEvent(providerName, { type, paymentId }) {
+  const outcome = await withTransaction(async (client) => {
+    const paymentResult = await client.query(
+      `SELECT ${PAYMENT_COLUMNS} FROM payments WHERE provider = $1 AND provider_payment_id = $2 FOR UPDATE`,
+      [providerName, paymentId]
+    );
+    const payment = paymentResult.rows[0];
+    // A payment closed when its booking was cancelled or expired can still be completed by the guest
+    const settleable = type === 'succeeded' ? ['pending', 'expired'] : ['pending'];
+    if (!payment || !settleable.includes(payment.status)) {
+      return null;
+    }
+
+    if (type !== 'succeeded') {
+      const updated = await client.query(
+        `UPDATE payments SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING ${PAYMENT_COLUMNS}`,
+        [type, payment.id]
+      );
+      await expireUnpaidBooking(client, payment.booking_id, type);
+      return { payment: updated.rows[0] };
+    }
+
+    await lockHostCalendar(client, payment.user_id);
+    const bookingResult = await client.query(
+      `SELECT ${BOOKING_COLUMNS} FROM bookings WHERE id = $1 FOR UPDATE`,
+      [payment.booking_id]
+    );
+    const booking = bookingResult.rows[0];
+    if (payment.status !== 'pending' || booking.status !== 'pending_payment') {
+      return markRefundRequired(client, payment, booking, `was ${booking.status}`);
+    }
+
+    // Once the payment window passed the slot was released and may have been booked by someone else
+    const eventType = await getBookingEventType(booking, client);
+    if (new Date(booking.payment_expires_at) <= new Date()) {
+      try {
+        await assertNoBookingConflict(client, {
+          eventType,
+          start: new Date(booking.scheduled_at),
+          end: new Date(booking.end_time),
+          excludeIds: [booking.id]
+        });
+      } catch (error) {
+        if (!(error instanceof ConflictError)) throw error;
+        const expired = await expireUnpaidBooking(client, booking.id, 'refund_required');
+        return markRefundRequired(client, payment, expired, 'lost its slot');
+      }
+    }
+
+    const paidResult = await client.query(
+      `UPDATE payments SET status = 'succeeded', paid_at = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2
+       RETURNING ${PAYMENT_COLUMNS}`,
+      [new Date().toISOString(), payment.id]
+    );
+    const paid = paidResult.rows[0];
+
+    const confirmedResult = await client.query(
+      `UPDATE bookings SET status = 'confirmed', payment_expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${BOOKING_COLUMNS}`,
+      [booking.id]
+    );
+    const confirmed = confirmedResult.rows[0];
+
+    await scheduleReminders(client, confirmed);
+    await auditBooking(client, confirmed, 'booking.paid', diffChanges(
+      { status: 'pending_payment', payment_status: 'pending' },
+      { status: 'confirmed', payment_status: 'succeeded', amount: paid.amount, currency: paid.currency }
+    ));
+    return { payment: paid, booking: confirmed, eventType, confirmed: true };
+  });
+
+  if (!outcome) {
+    return null;
+  }
+
+  if (outcome.payment.status === 'succeeded') {
+    await recordRevenue(outcome.booking, outcome.payment);
+  }
+
+  if (outcome.confirmed) {
+    await confirmBooking({ booking: outcome.booking, eventType: outcome.eventType });
+  }
+
+  return outcome.payment;
+}
+
+// Expire bookings whose payment window passed without a payment, releasing their slots
+export async function expireUnpaidBookings() {
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `SELECT id FROM bookings WHERE status = 'pending_payment' AND payment_expires_at <= $1 FOR UPDATE`,
+      [new Date().toISOString()]
+    );
+
+    for (const { id } of result.rows) {
+      await client.query(
+        `UPDATE payments SET status = 'expired', updated_at = CURRENT_TIMESTAMP WHERE booking_id = $1 AND status = 'pending'`,
+        [id]
+      );
+      await expireUnpaidBooking(client, id, 'expired');
+    }
+    return result.rows.length;
+  });
+}
@@ -0,0 +1,52 @@
+export async function getEventTypeQuestions(db, eventTypeId) {
+  const result = await db.query(
+    `SELECT id, key, label, type, required, options, position
+     FROM event_type_questions WHERE event_type_id = $1
+     ORDER BY position, created_at`,
+    [eventTypeId]
+  );
+  return result.rows;
+}
+
+// Replace an event type's questions; their array order becomes the display order
+export async function replaceEventTypeQuestions(db, eventTypeId, questions) {
+  await db.query('DELETE FROM event_type_questions WHERE event_type_id = $1', [eventTypeId]);
+
+  for (const [position, q] of questions.entries()) {
+    await db.query(
+      `INSERT INTO event_type_questions (event_type_id, key, label, type, required, options, position)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [eventTypeId, q.key, q.label, q.type, q.required, q.options ? JSON.stringify(q.options) : null, position]
+    );
+  }
+}
+
+export function formatQuestion(q) {
+  return {
+    id: q.id,
+    key: q.key,
+    label: q.label,
+    type: q.type,
+    required: q.required,
+    options: q.options || undefined,
+    position: q.position
+  };
+}
+
+/**
+ * Pair stored answers with their questions, in question order. Answers to questions that were
+ * removed since the booking was made are kept at the end, labelled by their key.
+ */
+export function formatAnswers(questions, customFields) {
+  const answers = customFields || {};
+  const known = new Set(questions.map(q => q.key));
+
+  return [
+    ...questions
+      .filter(q => answers[q.key] !== undefined && answers[q.key] !== null && answers[q.key] !== '')
+      .map(q => ({ key: q.key, label: q.label, type: q.type, value: answers[q.key] })),
+    ...Object.keys(answers)
+      .filter(key => !known.has(key))
+      .map(key => ({ key, label: key, type: null, value: answers[key] }))
+  ];
+}
@@ -0,0 +1,231 @@
+import { pool, withTransaction } from '../config/database.js';
+import { sendBookingReminder, sendBookingFollowUp } from './emailService.js';
+import { getBookingRecipients } from './attendeeService.js';
+
+const MINUTE = 60 * 1000;
+
+// Notifications given to new event types: reminders 24 hours and 1 hour before the start
+export const DEFAULT_NOTIFICATIONS = [
+  { relative_to: 'start', timing: 'before', offset_minutes: 24 * 60, channel: 'email', template: 'reminder' },
+  { relative_to: 'start', timing: 'before', offset_minutes: 60, channel: 'email', template: 'reminder' }
+];
+
+// Email senders per template; the email channel is the only one for now
+const EMAIL_TEMPLATES = {
+  reminder: sendBookingReminder,
+  follow_up: sendBookingFollowUp
+};
+
+export const MAX_REMINDER_ATTEMPTS = parseInt(process.env.REMINDER_MAX_ATTEMPTS) || 5;
+
+// A claimed job is invisible to other workers for this long; if the worker dies it is retried afterwards
+const CLAIM_MINUTES = 5;
+
+// Wait before retrying a failed send, growing with each attempt
+function retryDelayMinutes(attempts) {
+  return Math.min(5 * 2 ** (attempts - 1), 60);
+}
+
+export async function getEventTypeNotifications(db, eventTypeId) {
+  const result = await db.query(
+    `SELECT id, relative_to, timing, offset_minutes, channel, template
+     FROM event_type_notifications WHERE event_type_id = $1
+     ORDER BY relative_to DESC, CASE WHEN timing = 'before' THEN -offset_minutes ELSE offset_minutes END`,
+    [eventTypeId]
+  );
+  return result.rows;
+}
+
+// Replace an event type's notification list
+export async function replaceEventTypeNotifications(db, eventTypeId, notifications) {
+  await db.query('DELETE FROM event_type_notifications WHERE event_type_id = $1', [eventTypeId]);
+
+  for (const n of notifications) {
+    await db.query(
+      `INSERT INTO event_type_notifications (event_type_id, relative_to, timing, offset_minutes, channel, template)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [eventTypeId, n.relative_to, n.timing, n.offset_minutes, n.channel, n.template]
+    );
+  }
+}
+
+// When a notification fires for a booking
+function notificationTime(notification, booking) {
+  const anchor = new Date(notification.relative_to === 'end' ? booking.end_time : booking.scheduled_at);
+  const sign = notification.timing === 'before' ? -1 : 1;
+  return new Date(anchor.getTime() + sign * notification.offset_minutes * MINUTE);
+}
+
+/**
+ * Create the notification jobs for a booking from its event type's schedule.
+ * Notifications whose time has already passed are not created.
+ * `db` is the pool or the client of the transaction writing the booking.
+ */
+export async function scheduleReminders(db, booking) {
+  const notifications = await getEventTypeNotifications(db, booking.event_type_id);
+  const start = new Date(booking.scheduled_at);
+  const now = Date.now();
+
+  for (const notification of notifications) {
+    const sendAt = notificationTime(notification, booking);
+    if (sendAt.getTime() <= now) continue;
+
+    // Jobs keep their offset as minutes before the start (negative once the meeting has begun)
+    await db.query(
+      `INSERT INTO booking_reminders (booking_id, notification_id, channel, template, offset_minutes, send_at)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [booking.id, notification.id, notification.channel, notification.template,
+       Math.round((start.getTime() - sendAt.getTime()) / MINUTE), sendAt.toISOString()]
+    );
+  }
+}
+
+// Drop the booking's reminders that have not been sent yet
+export async function cancelReminders(db, bookingId) {
+  await db.query(
+    `UPDATE booking_reminders SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+     WHERE booking_id = $1 AND status = 'pending'`,
+    [bookingId]
+  );
+}
+
+// Replace the pending reminders after the booking has moved
+export async function rescheduleReminders(db, booking) {
+  await cancelReminders(db, booking.id);
+  await scheduleReminders(db, booking);
+}
+
+// Rebuild pending jobs of an event type's upcoming bookings after its notification list changed
+export async function resyncEventTypeReminders(db, eventTypeId) {
+  const result = await db.query(
+    `SELECT id, event_type_id, scheduled_at, end_time FROM bookings
+     WHERE event_type_id = $1 AND status = 'confirmed' AND deleted_at IS NULL AND end_time > $2`,
+    [eventTypeId, new Date().toISOString()]
+  );
+
+  for (const booking of result.rows) {
+    await rescheduleReminders(db, booking);
+  }
+}
+
+// Lead time shown in reminder emails: "1 week", "24 hours", "15 minutes"
+function formatLeadTime(minutes) {
+  const units = [['week', 7 * 24 * 60], ['hour', 60], ['minute', 1]];
+  const [unit, size] = units.find(([, size]) => minutes >= size && minutes % size === 0) || ['minute', 1];
+  const count = minutes / size;
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+// Claim up to `limit` due jobs, pushing their send time forward so no other worker picks them up
+async function claimDueReminders(limit) {
+  return withTransaction(async (client) => {
+    const now = new Date();
+    const result = await client.query(
+      `UPDATE booking_reminders
+       SET attempts = attempts + 1, send_at = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM booking_reminders
+         WHERE status = 'pending' AND send_at <= $1
+         ORDER BY send_at
+         LIMIT $3
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING id, booking_id, channel, template, offset_minutes, attempts, sent_to`,
+      [now.toISOString(), new Date(now.getTime() + CLAIM_MINUTES * MINUTE).toISOString(), limit]
+    );
+    return result.rows;
+  });
+}
+
+async function markReminder(id, status, lastError = null) {
+  await pool.query(
+    `UPDATE booking_reminders
+     SET status = $2::text, last_error = $3, sent_at = CASE WHEN $2::text = 'sent' THEN CURRENT_TIMESTAMP ELSE sent_at END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [id, status, lastError]
+  );
+}
+
+async function sendReminder(job) {
+  const bookingResult = await pool.query(
+    `SELECT b.id, b.guest_name, b.guest_email, b.scheduled_at, b.status, b.deleted_at, b.google_meet_link,
+            et.name AS event_name
+     FROM bookings b
+     JOIN event_types et ON et.id = b.event_type_id
+     WHERE b.id = $1`,
+    [job.booking_id]
+  );
+  const booking = bookingResult.rows[0];
+
+  // The booking may have been cancelled, or the worker fell so far behind that the meeting has started.
+  // Follow-ups also go out once the meeting was marked completed, but not after a no-show.
+  const isReminder = job.template === 'reminder';
+  const send = job.channel === 'email' && EMAIL_TEMPLATES[job.template];
+  const activeStatuses = isReminder ? ['confirmed'] : ['confirmed', 'completed'];
+  if (!booking || !activeStatuses.includes(booking.status) || booking.deleted_at || !send ||
+      (isReminder && new Date(booking.scheduled_at) <= new Date())) {
+    await markReminder(job.id, 'skipped');
+    return 'skipped';
+  }
+
+  // The guest and every additional attendee get their own copy. Each delivery is recorded on the job,
+  // so a retry after a failed send skips the recipients who already have theirs.
+  for (const recipient of await getBookingRecipients(pool, booking)) {
+    if (job.sent_to.includes(recipient.email)) continue;
+
+    await send({
+      guestName: recipient.name,
+      guestEmail: recipient.email,
+      eventName: booking.event_name,
+      scheduledAt: new Date(booking.scheduled_at),
+      meetLink: booking.google_meet_link,
+      timeUntilBooking: formatLeadTime(job.offset_minutes)
+    });
+    await pool.query(
+      `UPDATE booking_reminders SET sent_to = array_append(sent_to, $2), updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [job.id, recipient.email]
+    );
+  }
+
+  await markReminder(job.id, 'sent');
+  if (isReminder) {
+    await pool.query(
+      'UPDATE bookings SET reminder_sent_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [booking.id]
+    );
+  }
+  return 'sent';
+}
+
+/**
+ * Send every reminder that is due. Failed sends are retried with backoff
+ * until MAX_REMINDER_ATTEMPTS, then marked failed.
+ */
+export async function processDueReminders({ limit = 50 } = {}) {
+  const jobs = await claimDueReminders(limit);
+  const summary = { sent: 0, skipped: 0, retried: 0, failed: 0 };
+
+  for (const job of jobs) {
+    try {
+      summary[await sendReminder(job)]++;
+    } catch (error) {
+      console.error(`Failed to send reminder ${job.id}:`, error);
+
+      if (job.attempts >= MAX_REMINDER_ATTEMPTS) {
+        await markReminder(job.id, 'failed', error.message);
+        summary.failed++;
+      } else {
+        const retryAt = new Date(Date.now() + retryDelayMinutes(job.attempts) * MINUTE);
+        await pool.query(
+          `UPDATE booking_reminders SET send_at = $2, last_error = $3, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1`,
+          [job.id, retryAt.toISOString(), error.message]
+        );
+        summary.retried++;
+      }
+    }
+  }
+
+  return summary;
+}
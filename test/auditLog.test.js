@@ -0,0 +1,52 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, skipWithoutDatabase, createHost, inUtcDays } from './helpers.js';
+
+describe('audit log', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let host;
+
+  before(async () => {
+    app = await startApp();
+    host = await createHost(app.request);
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  async function auditEntries(resourceId) {
+    const res = await app.request('GET', `/api/users/audit-log?resource_id=${resourceId}`, { token: host.token });
+    return res.body.entries.reverse();
+  }
+
+  it('records schedule changes', async () => {
+    const rules = [{ day_of_week: 'Monday', start_time: '09:00', end_time: '12:00' }];
+    const created = await app.request('POST', '/api/schedules', { token: host.token, body: { name: 'Mornings', timezone: 'UTC', rules } });
+    const id = created.body.schedule.id;
+
+    await app.request('PUT', `/api/schedules/${id}`, {
+      token: host.token,
+      body: { name: 'Mornings', timezone: 'Europe/Paris', rules: [{ ...rules[0], end_time: '11:00' }] }
+    });
+    await app.request('DELETE', `/api/schedules/${id}`, { token: host.token });
+
+    const entries = await auditEntries(id);
+    assert.deepEqual(entries.map(e => e.action), ['schedule.created', 'schedule.updated', 'schedule.deleted']);
+    assert.deepEqual(Object.keys(entries[1].changes).sort(), ['rules', 'timezone']);
+  });
+
+  it('records blocked time changes', async () => {
+    const body = { title: 'Dentist', start_time: inUtcDays(3, '10:00'), end_time: inUtcDays(3, '11:00') };
+    const created = await app.request('POST', '/api/users/blocked-times', { token: host.token, body });
+    const id = created.body.blockedTime.id;
+
+    await app.request('PUT', `/api/users/blocked-times/${id}`, { token: host.token, body: { ...body, end_time: inUtcDays(3, '12:00') } });
+    await app.request('DELETE', `/api/users/blocked-times/${id}`, { token: host.token });
+
+    const entries = await auditEntries(id);
+    assert.deepEqual(entries.map(e => e.action), ['blocked_time.created', 'blocked_time.updated', 'blocked_time.deleted']);
+    assert.deepEqual(Object.keys(entries[1].changes), ['end_time']);
+    assert.equal(entries[2].changes.title.from, 'Dentist');
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { startApp, skipWithoutDatabase, createHost, inUtcDays, book } from './helpers.js';
+
+const repair = fs.readFileSync(new URL('../migrations/003_repair_availability_slots.sql', import.meta.url), 'utf8');
+
+describe('availability slot repair migration', { skip: skipWithoutDatabase }, () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it('restores slots switched off by a booking and leaves slots the owner removed', async () => {
+    const host = await createHost(app.request);
+    const created = await book(app.request, host.eventType.id, inUtcDays(7, '10:00'));
+    const booking = await app.pool.query('SELECT created_at FROM bookings WHERE id = $1', [created.body.booking.id]);
+    const bookedAt = booking.rows[0].created_at;
+
+    const insertSlot = async (updatedAt) => {
+      const result = await app.pool.query(
+        `INSERT INTO availability_slots (event_type_id, day_of_week, start_time, end_time, is_active, created_at, updated_at)
+         VALUES ($1, 'Monday', '09:00', '10:00', FALSE, $2, $3)
+         RETURNING id`,
+        [host.eventType.id, new Date(bookedAt.getTime() - 24 * 60 * 60 * 1000), updatedAt]
+      );
+      return result.rows[0].id;
+    };
+
+    const disabledByBooking = await insertSlot(new Date(bookedAt.getTime() + 500));
+    const removedAfterRelease = await insertSlot(new Date(bookedAt.getTime() + 2 * 60 * 60 * 1000));
+    const removedUntouched = await insertSlot(new Date(bookedAt.getTime() - 24 * 60 * 60 * 1000));
+
+    await app.pool.query(repair);
+
+    const result = await app.pool.query('SELECT id, is_active FROM availability_slots WHERE event_type_id = $1', [host.eventType.id]);
+    const active = new Map(result.rows.map(r => [r.id, r.is_active]));
+    assert.equal(active.get(disabledByBooking), true);
+    assert.equal(active.get(removedAfterRelease), false);
+    assert.equal(active.get(removedUntouched), false);
+  });
+});
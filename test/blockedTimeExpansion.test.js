@@ -0,0 +1,31 @@
+// Runs in its own file: importing the service opens the database pool with the settings in .env,
+// before startApp can point it at the test database
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandBlockedTimes } from '../services/availabilityService.js';
+
+describe('expandBlockedTimes', () => {
+  const recurring = (pattern, start, end) => ({
+    id: 'b1', kind: 'blocked', title: 'Recurring', start_time: start, end_time: end, is_recurring: true, recurring_pattern: pattern
+  });
+  const expand = (row, from, to, timeZone = 'UTC') =>
+    expandBlockedTimes([row], new Date(from), new Date(to), timeZone).map(i => i.start.toISOString());
+
+  it('finds monthly occurrences years after the start', () => {
+    const row = recurring('monthly', '2024-01-15T10:00:00Z', '2024-01-15T11:00:00Z');
+    assert.deepEqual(expand(row, '2026-01-15T00:00:00Z', '2026-01-16T00:00:00Z'), ['2026-01-15T10:00:00.000Z']);
+    assert.deepEqual(expand(row, '2029-12-01T00:00:00Z', '2030-02-01T00:00:00Z'), ['2029-12-15T10:00:00.000Z', '2030-01-15T10:00:00.000Z']);
+  });
+
+  it('finds yearly occurrences across leap years', () => {
+    const row = recurring('yearly', '2023-03-01T09:00:00Z', '2023-03-01T17:00:00Z');
+    assert.deepEqual(expand(row, '2031-03-01T00:00:00Z', '2031-03-02T00:00:00Z'), ['2031-03-01T09:00:00.000Z']);
+    assert.deepEqual(expand(row, '2028-02-28T00:00:00Z', '2028-03-02T00:00:00Z'), ['2028-03-01T09:00:00.000Z']);
+  });
+
+  it('keeps the wall-clock time of occurrences across daylight saving changes', () => {
+    const row = recurring('monthly', '2024-01-10T09:00:00Z', '2024-01-10T10:00:00Z');
+    // 10:00 in Paris is 09:00 UTC in winter and 08:00 UTC in summer
+    assert.deepEqual(expand(row, '2026-07-01T00:00:00Z', '2026-08-01T00:00:00Z', 'Europe/Paris'), ['2026-07-10T08:00:00.000Z']);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, skipWithoutDatabase, createHost, inUtcDays } from './helpers.js';
+
+describe('blocked times list', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let host;
+
+  before(async () => {
+    app = await startApp();
+    host = await createHost(app.request);
+    await app.request('POST', '/api/users/blocked-times', {
+      token: host.token,
+      body: { title: 'Offsite', start_time: inUtcDays(3, '10:00'), end_time: inUtcDays(3, '12:00') }
+    });
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  const list = (query) => app.request('GET', `/api/users/blocked-times?${new URLSearchParams(query)}`, { token: host.token });
+
+  it('filters by date range and kind', async () => {
+    const inRange = await list({ startDate: inUtcDays(2, '00:00'), endDate: inUtcDays(4, '00:00'), kind: 'blocked' });
+    assert.deepEqual(inRange.body.blockedTimes.map(b => b.title), ['Offsite']);
+
+    const otherKind = await list({ kind: 'available' });
+    assert.deepEqual(otherKind.body.blockedTimes, []);
+  });
+
+  it('rejects invalid filters', async () => {
+    for (const query of [{ startDate: 'soon' }, { kind: 'busy' }, { startDate: inUtcDays(4, '00:00'), endDate: inUtcDays(2, '00:00') }]) {
+      const res = await list(query);
+      assert.equal(res.status, 400);
+      assert.ok(res.body.errors.length > 0);
+    }
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, skipWithoutDatabase, createHost, inUtcDays, book } from './helpers.js';
+
+describe('concurrent bookings', { skip: skipWithoutDatabase }, () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it('lets only one of two simultaneous overlapping bookings of a host through', async () => {
+    const host = await createHost(app.request);
+
+    const results = await Promise.all([
+      book(app.request, host.eventType.id, inUtcDays(7, '10:00')),
+      book(app.request, host.eventType.id, inUtcDays(7, '10:15'))
+    ]);
+
+    assert.deepEqual(results.map(r => r.status).sort(), [201, 409]);
+    const rejected = results.find(r => r.status === 409);
+    assert.equal(rejected.body.conflict, 'booking');
+
+    const stored = await app.pool.query(
+      "SELECT COUNT(*) FROM bookings WHERE user_id = $1 AND status = 'confirmed'",
+      [host.userId]
+    );
+    assert.equal(parseInt(stored.rows[0].count), 1);
+  });
+});
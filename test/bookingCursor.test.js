@@ -0,0 +1,53 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, skipWithoutDatabase, createHost, inUtcDays, book } from './helpers.js';
+
+describe('booking list cursors', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let host;
+  const ids = [];
+
+  before(async () => {
+    app = await startApp();
+    host = await createHost(app.request);
+    for (const time of ['10:00', '11:00', '12:00']) {
+      ids.push((await book(app.request, host.eventType.id, inUtcDays(7, time))).body.booking.id);
+    }
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  const list = (query) => app.request('GET', `/api/bookings?${new URLSearchParams(query)}`, { token: host.token });
+
+  it('pages through rows created within the same millisecond without skipping or repeating any', async () => {
+    await app.pool.query(
+      `UPDATE bookings SET created_at = '2026-01-01 09:00:00.000001'::timestamp + (CASE id WHEN $1 THEN 0 WHEN $2 THEN 1 ELSE 2 END) * INTERVAL '1 microsecond'
+       WHERE id = ANY($3::uuid[])`,
+      [ids[0], ids[1], ids]
+    );
+
+    for (const order of ['asc', 'desc']) {
+      const seen = [];
+      let query = { pagination: 'cursor', limit: 1, sort: 'created_at', order };
+      for (let page = 0; page < 5; page++) {
+        const res = await list(query);
+        assert.equal(res.status, 200);
+        seen.push(...res.body.bookings.map(b => b.id));
+        if (!res.body.pagination.hasMore) break;
+        query = { ...query, cursor: res.body.pagination.nextCursor };
+      }
+      assert.deepEqual(seen, order === 'asc' ? ids : [...ids].reverse());
+    }
+  });
+
+  it('rejects cursors with a malformed id or value', async () => {
+    const cursor = (value, id) => Buffer.from(JSON.stringify({ sort: 'created_at', order: 'desc', value, id })).toString('base64url');
+
+    for (const bad of [cursor('2026-01-01 09:00:00', 'not-a-uuid'), cursor('yesterday', ids[0]), cursor(null, ids[0])]) {
+      const res = await list({ pagination: 'cursor', sort: 'created_at', order: 'desc', cursor: bad });
+      assert.equal(res.status, 400);
+    }
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, skipWithoutDatabase, createHost, inUtcDays, book } from './helpers.js';
+
+describe('booking window', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let host;
+
+  before(async () => {
+    app = await startApp();
+    host = await createHost(app.request, {
+      name: `Window ${Date.now()}`,
+      min_advance_notice_minutes: 2 * 24 * 60,
+      max_advance_booking_days: 14
+    });
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it('rejects bookings in the past', async () => {
+    const res = await book(app.request, host.eventType.id, inUtcDays(-1, '10:00'));
+    assert.equal(res.status, 409);
+    assert.equal(res.body.conflict, 'too_soon');
+  });
+
+  it('rejects bookings inside the minimum notice', async () => {
+    const res = await book(app.request, host.eventType.id, inUtcDays(1, '10:00'));
+    assert.equal(res.status, 409);
+    assert.equal(res.body.conflict, 'too_soon');
+  });
+
+  it('rejects bookings beyond the booking horizon', async () => {
+    const res = await book(app.request, host.eventType.id, inUtcDays(20, '10:00'));
+    assert.equal(res.status, 409);
+    assert.equal(res.body.conflict, 'too_far_ahead');
+  });
+
+  it('applies the same rules to holds', async () => {
+    const hold = (scheduledAt) => app.request('POST', `/api/embed/${host.eventType.slug}/holds`, { body: { scheduled_at: scheduledAt } });
+
+    assert.equal((await hold(inUtcDays(1, '10:00'))).body.conflict, 'too_soon');
+    assert.equal((await hold(inUtcDays(20, '10:00'))).body.conflict, 'too_far_ahead');
+    assert.equal((await hold(inUtcDays(7, '10:00'))).status, 201);
+  });
+
+  it('accepts bookings inside the window', async () => {
+    const res = await book(app.request, host.eventType.id, inUtcDays(7, '11:00'));
+    assert.equal(res.status, 201);
+  });
+});
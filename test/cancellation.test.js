@@ -0,0 +1,55 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, skipWithoutDatabase, createHost, inUtcDays, book } from './helpers.js';
+import { buildFakeWebhook } from '../services/paymentProviders/fakeProvider.js';
+
+describe('cancellation', { skip: skipWithoutDatabase }, () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  const cancel = (host, bookingId) =>
+    app.request('PUT', `/api/bookings/${bookingId}/cancel`, { token: host.token, body: { reason: 'No longer needed' } });
+
+  it('cancels a booking only once', async () => {
+    const host = await createHost(app.request);
+    const created = await book(app.request, host.eventType.id, inUtcDays(7, '10:00'));
+
+    assert.equal((await cancel(host, created.body.booking.id)).status, 200);
+
+    const again = await cancel(host, created.body.booking.id);
+    assert.equal(again.status, 409);
+    assert.equal(again.body.conflict, 'not_cancellable');
+  });
+
+  it('closes the pending payment of a booking waiting for payment', async () => {
+    const host = await createHost(app.request, { price: 40, currency: 'EUR' });
+    const created = await book(app.request, host.eventType.id, inUtcDays(7, '11:00'));
+    assert.equal(created.body.booking.status, 'pending_payment');
+
+    assert.equal((await cancel(host, created.body.booking.id)).status, 200);
+
+    const payment = await app.pool.query('SELECT provider_payment_id, status FROM payments WHERE booking_id = $1', [created.body.booking.id]);
+    assert.equal(payment.rows[0].status, 'expired');
+
+    // A payment completed afterwards does not bring the booking back; it is kept for a refund, not as revenue
+    const { rawBody, headers } = buildFakeWebhook('payment.succeeded', payment.rows[0].provider_payment_id);
+    await app.request('POST', '/api/payments/webhooks/fake', { headers, body: JSON.parse(rawBody) });
+
+    const fetched = await app.request('GET', `/api/bookings/${created.body.booking.id}`, { token: host.token });
+    assert.equal(fetched.body.booking.status, 'cancelled');
+    assert.equal(fetched.body.booking.payment.status, 'refund_required');
+
+    const revenue = await app.pool.query(
+      `SELECT 1 FROM analytics WHERE user_id = $1 AND action_type = 'payment_received'`,
+      [host.userId]
+    );
+    assert.equal(revenue.rows.length, 0);
+  });
+});
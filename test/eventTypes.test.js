@@ -0,0 +1,33 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, skipWithoutDatabase, createHost } from './helpers.js';
+
+describe('event type updates', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let host;
+
+  before(async () => {
+    app = await startApp();
+    host = await createHost(app.request);
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it('keeps the schedule when it is omitted and clears it when it is null', async () => {
+    const rules = [{ day_of_week: 'Monday', start_time: '09:00', end_time: '12:00' }];
+    const schedule = await app.request('POST', '/api/schedules', { token: host.token, body: { name: 'Mornings', timezone: 'UTC', rules } });
+    const update = (body) => app.request('PUT', `/api/events/${host.eventType.id}`, { token: host.token, body: { name: 'Consultation', ...body } });
+
+    const assigned = await update({ schedule_id: schedule.body.schedule.id });
+    assert.equal(assigned.body.event.scheduleId, schedule.body.schedule.id);
+
+    const kept = await update({ description: 'Renamed' });
+    assert.equal(kept.body.event.scheduleId, schedule.body.schedule.id);
+
+    const cleared = await update({ schedule_id: null });
+    assert.equal(cleared.status, 200);
+    assert.equal(cleared.body.event.scheduleId, null);
+  });
+});
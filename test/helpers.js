@@ -0,0 +1,134 @@
+// Integration test setup: the API runs against the PostgreSQL database named by TEST_DB_NAME, reached
+// with TEST_DB_HOST, TEST_DB_PORT, TEST_DB_USER and TEST_DB_PASSWORD. Without TEST_DB_NAME the tests are
+// skipped, so they never run against the database configured in .env.
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const skipWithoutDatabase = process.env.TEST_DB_NAME ? false : 'TEST_DB_NAME is not set';
+
+// Run every migration, as scripts/migrate.js does; they are written to be re-run
+async function migrate(pool) {
+  const migrationsDir = path.join(__dirname, '../migrations');
+  for (const file of fs.readdirSync(migrationsDir).filter(f => f.endsWith('.sql')).sort()) {
+    await pool.query(fs.readFileSync(path.join(migrationsDir, file), 'utf8'));
+  }
+}
+
+/**
+ * Start the API on a free port. Settings are fixed before the app is imported, so values in
+ * .env (which dotenv only uses for unset variables) cannot point the tests elsewhere.
+ */
+export async function startApp() {
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    DB_HOST: process.env.TEST_DB_HOST || 'localhost',
+    DB_PORT: process.env.TEST_DB_PORT || '5432',
+    DB_USER: process.env.TEST_DB_USER || 'postgres',
+    DB_PASSWORD: process.env.TEST_DB_PASSWORD || 'postgres',
+    DB_NAME: process.env.TEST_DB_NAME,
+    JWT_SECRET: 'test_jwt_secret',
+    RESEND_API_KEY: 're_test',
+    PAYMENT_PROVIDER: 'fake',
+    FAKE_PAYMENT_WEBHOOK_SECRET: 'test_webhook_secret'
+  });
+
+  const { pool } = await import('../config/database.js');
+  await migrate(pool);
+
+  const { default: app } = await import('../api/index.js');
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, url, { body, token, headers = {} } = {}) {
+    const res = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = text;
+    }
+    return { status: res.status, body: json, headers: res.headers };
+  }
+
+  async function close() {
+    server.close();
+    await pool.end();
+  }
+
+  return { pool, request, close };
+}
+
+function assignEnv(vars) {
+  for (const [name, value] of Object.entries(vars)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+}
+
+// Set environment variables for one test (undefined unsets), restoring the previous values after it
+export function setEnv(t, vars) {
+  const saved = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+  t.after(() => assignEnv(saved));
+  assignEnv(vars);
+}
+
+// A unique address per call, so tests sharing a database do not collide
+export function uniqueEmail(name = 'user') {
+  return `${name}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}@example.com`;
+}
+
+// Sign up a host who is available 09:00-17:00 UTC every day, with a 30 minute event type
+export async function createHost(request, eventType = {}) {
+  const email = uniqueEmail('host');
+  const signup = await request('POST', '/api/auth/signup', { body: { email, password: 'password123', firstName: 'Host' } });
+  const token = signup.body.token;
+
+  await request('POST', '/api/schedules', {
+    token,
+    body: {
+      name: 'Working hours',
+      timezone: 'UTC',
+      is_default: true,
+      rules: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+        .map(day => ({ day_of_week: day, start_time: '09:00', end_time: '17:00' }))
+    }
+  });
+
+  const event = await request('POST', '/api/events', { token, body: { name: 'Intro call', duration_minutes: 30, ...eventType } });
+  return { email, token, userId: signup.body.user.id, eventType: event.body.event };
+}
+
+// A UTC time `days` days from now on the given wall-clock hour, e.g. inUtcDays(7, '10:00')
+export function inUtcDays(days, time) {
+  const date = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  return new Date(`${date}T${time}:00.000Z`).toISOString();
+}
+
+export function book(request, eventTypeId, scheduledAt, extra = {}) {
+  return request('POST', '/api/bookings', {
+    body: {
+      event_type_id: eventTypeId,
+      guest_name: 'Guest',
+      guest_email: uniqueEmail('guest'),
+      scheduled_at: scheduledAt,
+      ...extra
+    }
+  });
+}
@@ -0,0 +1,80 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, skipWithoutDatabase, createHost, inUtcDays, book } from './helpers.js';
+
+describe('round-robin host invites', { skip: skipWithoutDatabase }, () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it('assigns bookings to an invited host only once they accept', async () => {
+    const owner = await createHost(app.request);
+    const colleague = await createHost(app.request);
+
+    const updated = await app.request('PUT', `/api/events/${owner.eventType.id}/hosts`, {
+      token: owner.token,
+      body: { strategy: 'least_recently_booked', hosts: [{ email: colleague.email }] }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.hosts[0].status, 'invited');
+
+    const beforeAccepting = await book(app.request, owner.eventType.id, inUtcDays(7, '10:00'));
+    assert.equal(beforeAccepting.status, 409);
+
+    const invites = await app.request('GET', '/api/users/host-invites', { token: colleague.token });
+    assert.deepEqual(invites.body.invites.map(i => i.eventTypeId), [owner.eventType.id]);
+
+    const accepted = await app.request('POST', `/api/users/host-invites/${owner.eventType.id}/accept`, { token: colleague.token });
+    assert.equal(accepted.status, 200);
+
+    // The owner's audit log shows the answer as coming from the invited host
+    const audit = await app.request('GET', '/api/users/audit-log?actor_type=host', { token: owner.token });
+    assert.deepEqual(audit.body.entries.map(e => [e.action, e.actorType]), [['event_type.host_invite_accepted', 'host']]);
+
+    const afterAccepting = await book(app.request, owner.eventType.id, inUtcDays(7, '10:00'));
+    assert.equal(afterAccepting.status, 201);
+    assert.equal(afterAccepting.body.booking.userId, colleague.userId);
+  });
+
+  it('accepts the owner as a host without an invite and keeps acceptance when hosts change', async () => {
+    const owner = await createHost(app.request);
+    const colleague = await createHost(app.request);
+    const putHosts = (hosts) => app.request('PUT', `/api/events/${owner.eventType.id}/hosts`, {
+      token: owner.token,
+      body: { strategy: 'weighted_priority', hosts }
+    });
+
+    await putHosts([{ email: owner.email }, { email: colleague.email }]);
+    await app.request('POST', `/api/users/host-invites/${owner.eventType.id}/accept`, { token: colleague.token });
+
+    const updated = await putHosts([{ email: owner.email }, { email: colleague.email, weight: 3 }]);
+    assert.deepEqual(updated.body.hosts.map(h => [h.email, h.weight, h.status]), [
+      [owner.email, 1, 'accepted'],
+      [colleague.email, 3, 'accepted']
+    ]);
+  });
+
+  it('removes a host who declines', async () => {
+    const owner = await createHost(app.request);
+    const colleague = await createHost(app.request);
+
+    await app.request('PUT', `/api/events/${owner.eventType.id}/hosts`, {
+      token: owner.token,
+      body: { strategy: 'least_recently_booked', hosts: [{ email: colleague.email }] }
+    });
+    const declined = await app.request('POST', `/api/users/host-invites/${owner.eventType.id}/decline`, { token: colleague.token });
+    assert.equal(declined.status, 200);
+
+    const hosts = await app.request('GET', `/api/events/${owner.eventType.id}/hosts`, { token: owner.token });
+    assert.deepEqual(hosts.body.hosts, []);
+
+    const again = await app.request('POST', `/api/users/host-invites/${owner.eventType.id}/accept`, { token: colleague.token });
+    assert.equal(again.status, 404);
+  });
+});
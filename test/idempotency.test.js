@@ -0,0 +1,69 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, skipWithoutDatabase, createHost, inUtcDays } from './helpers.js';
+
+describe('idempotent booking creation', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let host;
+
+  before(async () => {
+    app = await startApp();
+    host = await createHost(app.request);
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it('replays the response for a retry of the same request', async () => {
+    const headers = { 'Idempotency-Key': `retry-${Date.now()}` };
+    const extra = { guest_email: `retry-${Date.now()}@example.com` };
+    const first = await app.request('POST', '/api/bookings', {
+      headers,
+      body: { event_type_id: host.eventType.id, guest_name: 'Guest', scheduled_at: inUtcDays(7, '10:00'), ...extra }
+    });
+    const retry = await app.request('POST', '/api/bookings', {
+      headers,
+      body: { event_type_id: host.eventType.id, guest_name: 'Guest', scheduled_at: inUtcDays(7, '10:00'), ...extra }
+    });
+
+    assert.equal(first.status, 201);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.equal(retry.body.booking.id, first.body.booking.id);
+  });
+
+  it('rejects a guest reusing a key with a different payload', async () => {
+    const headers = { 'Idempotency-Key': `changed-${Date.now()}` };
+    const body = { event_type_id: host.eventType.id, guest_name: 'Guest', guest_email: `changed-${Date.now()}@example.com` };
+
+    const first = await app.request('POST', '/api/bookings', { headers, body: { ...body, scheduled_at: inUtcDays(8, '10:00') } });
+    const changed = await app.request('POST', '/api/bookings', { headers, body: { ...body, scheduled_at: inUtcDays(8, '11:00') } });
+
+    assert.equal(first.status, 201);
+    assert.equal(changed.status, 422);
+
+    const stored = await app.pool.query('SELECT COUNT(*) FROM bookings WHERE guest_email = $1', [body.guest_email]);
+    assert.equal(parseInt(stored.rows[0].count), 1);
+  });
+
+  it('does not share keys between clients', async () => {
+    const key = `shared-${Date.now()}`;
+    const other = await createHost(app.request);
+
+    const first = await app.request('POST', '/api/bookings', {
+      headers: { 'Idempotency-Key': key },
+      body: { event_type_id: host.eventType.id, guest_name: 'Guest', guest_email: 'a@example.com', scheduled_at: inUtcDays(7, '12:00') }
+    });
+    const signedIn = await app.request('POST', '/api/bookings', {
+      token: other.token,
+      headers: { 'Idempotency-Key': key },
+      body: { event_type_id: host.eventType.id, guest_name: 'Guest', guest_email: 'a@example.com', scheduled_at: inUtcDays(7, '12:00') }
+    });
+
+    // The signed-in request is handled on its own, and the slot is already taken
+    assert.equal(first.status, 201);
+    assert.equal(signedIn.headers.get('idempotent-replayed'), null);
+    assert.equal(signedIn.status, 409);
+  });
+});
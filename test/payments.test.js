@@ -0,0 +1,88 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, skipWithoutDatabase, createHost, inUtcDays, book, setEnv } from './helpers.js';
+import { getPaymentProvider, findPaymentProvider } from '../services/paymentProviders/index.js';
+import { buildFakeWebhook } from '../services/paymentProviders/fakeProvider.js';
+
+describe('payment providers', () => {
+  it('refuses the fake provider in production', (t) => {
+    setEnv(t, { NODE_ENV: 'production' });
+    assert.throws(() => getPaymentProvider('fake'), /cannot be used in production/);
+    assert.equal(findPaymentProvider('fake'), null);
+  });
+
+  it('does not sign fake webhooks without a configured secret', (t) => {
+    setEnv(t, { FAKE_PAYMENT_WEBHOOK_SECRET: undefined });
+    assert.throws(() => buildFakeWebhook('payment.succeeded', 'fake_1'), /FAKE_PAYMENT_WEBHOOK_SECRET/);
+  });
+});
+
+describe('paid bookings', { skip: skipWithoutDatabase }, () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  function sendWebhook(type, paymentId) {
+    const { rawBody, headers } = buildFakeWebhook(type, paymentId);
+    return app.request('POST', '/api/payments/webhooks/fake', { headers, body: JSON.parse(rawBody) });
+  }
+
+  it('confirms a booking once the provider reports the payment succeeded', async () => {
+    const host = await createHost(app.request, { price: 25, currency: 'USD' });
+
+    const created = await book(app.request, host.eventType.id, inUtcDays(7, '10:00'));
+    assert.equal(created.status, 201);
+    assert.equal(created.body.booking.status, 'pending_payment');
+    assert.equal(created.body.booking.payment.status, 'pending');
+
+    const stored = await app.pool.query('SELECT provider_payment_id FROM payments WHERE booking_id = $1', [created.body.booking.id]);
+    const webhook = await sendWebhook('payment.succeeded', stored.rows[0].provider_payment_id);
+    assert.equal(webhook.status, 200);
+
+    const fetched = await app.request('GET', `/api/bookings/${created.body.booking.id}`, { token: host.token });
+    assert.equal(fetched.body.booking.status, 'confirmed');
+    assert.equal(fetched.body.booking.payment.status, 'succeeded');
+  });
+
+  it('keeps a payment for a refund when the booking lost its slot before it arrived', async () => {
+    const host = await createHost(app.request, { price: 25, currency: 'USD' });
+    const scheduledAt = inUtcDays(7, '12:00');
+    const created = await book(app.request, host.eventType.id, scheduledAt);
+    await app.pool.query(`UPDATE bookings SET payment_expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1`, [created.body.booking.id]);
+
+    const taken = await book(app.request, host.eventType.id, scheduledAt);
+    assert.equal(taken.status, 201);
+
+    const stored = await app.pool.query('SELECT provider_payment_id FROM payments WHERE booking_id = $1', [created.body.booking.id]);
+    assert.equal((await sendWebhook('payment.succeeded', stored.rows[0].provider_payment_id)).status, 200);
+
+    const fetched = await app.request('GET', `/api/bookings/${created.body.booking.id}`, { token: host.token });
+    assert.equal(fetched.body.booking.status, 'expired');
+    assert.equal(fetched.body.booking.payment.status, 'refund_required');
+
+    const dashboard = await app.request('GET', '/api/analytics/dashboard', { token: host.token });
+    assert.deepEqual(dashboard.body.analytics.revenue, []);
+  });
+
+  it('rejects paid event types when no payment provider is configured', async (t) => {
+    const host = await createHost(app.request);
+    setEnv(t, { PAYMENT_PROVIDER: 'unconfigured' });
+    const res = await app.request('POST', '/api/events', { token: host.token, body: { name: 'Paid call', duration_minutes: 30, price: 10, currency: 'USD' } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].field, 'price');
+  });
+
+  it('rejects webhooks with a bad signature', async () => {
+    const res = await app.request('POST', '/api/payments/webhooks/fake', {
+      headers: { 'x-fake-signature': 'forged' },
+      body: { type: 'payment.succeeded', data: { paymentId: 'fake_unknown' } }
+    });
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, skipWithoutDatabase, createHost, inUtcDays, book, uniqueEmail } from './helpers.js';
+
+describe('reminders', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let processDueReminders;
+
+  before(async () => {
+    app = await startApp();
+    // Imported once the app has pointed the database pool at the test database
+    ({ processDueReminders } = await import('../services/reminderService.js'));
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it('does not send a retried reminder again to recipients who already have it', async () => {
+    const host = await createHost(app.request, { max_additional_attendees: 1 });
+    const guestEmail = uniqueEmail('guest');
+    const attendeeEmail = uniqueEmail('attendee');
+    const created = await book(app.request, host.eventType.id, inUtcDays(7, '10:00'), {
+      guest_email: guestEmail,
+      attendees: [{ email: attendeeEmail }]
+    });
+    assert.equal(created.status, 201);
+
+    // Both copies went out before the worker stopped, so the retry has nobody left to send to
+    const job = await app.pool.query(
+      `UPDATE booking_reminders SET send_at = NOW() - INTERVAL '1 minute', sent_to = $2
+       WHERE id = (SELECT id FROM booking_reminders WHERE booking_id = $1 ORDER BY send_at LIMIT 1)
+       RETURNING id`,
+      [created.body.booking.id, [guestEmail, attendeeEmail]]
+    );
+
+    await processDueReminders();
+
+    const stored = await app.pool.query('SELECT status, sent_to FROM booking_reminders WHERE id = $1', [job.rows[0].id]);
+    assert.equal(stored.rows[0].status, 'sent');
+    assert.deepEqual(stored.rows[0].sent_to, [guestEmail, attendeeEmail]);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, skipWithoutDatabase, createHost, inUtcDays, book } from './helpers.js';
+
+describe('rescheduling', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let host;
+  let generateManageToken;
+
+  before(async () => {
+    app = await startApp();
+    // Imported once the app has set JWT_SECRET
+    ({ generateManageToken } = await import('../utils/jwt.js'));
+    host = await createHost(app.request, { max_advance_booking_days: 14 });
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  async function manageUrl(bookingId) {
+    const result = await app.pool.query('SELECT end_time FROM bookings WHERE id = $1', [bookingId]);
+    return `/api/manage/${generateManageToken(bookingId, result.rows[0].end_time)}`;
+  }
+
+  it('applies the booking window when the owner reschedules', async () => {
+    const created = await book(app.request, host.eventType.id, inUtcDays(7, '10:00'));
+    const reschedule = (scheduledAt) => app.request('PUT', `/api/bookings/${created.body.booking.id}/reschedule`, {
+      token: host.token,
+      body: { scheduled_at: scheduledAt }
+    });
+
+    assert.equal((await reschedule(inUtcDays(-1, '10:00'))).body.conflict, 'in_past');
+    assert.equal((await reschedule(inUtcDays(20, '10:00'))).body.conflict, 'too_far_ahead');
+    assert.equal((await reschedule(inUtcDays(8, '10:00'))).status, 200);
+  });
+
+  it('applies the booking window and the cancellation notice when a guest reschedules', async () => {
+    const created = await book(app.request, host.eventType.id, inUtcDays(7, '12:00'));
+    const url = await manageUrl(created.body.booking.id);
+    const reschedule = (scheduledAt) => app.request('PUT', `${url}/reschedule`, { body: { scheduled_at: scheduledAt } });
+
+    // The default policy needs 24 hours' notice, for the new time as well as the old one
+    const tooClose = await reschedule(new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString());
+    assert.equal(tooClose.status, 403);
+
+    assert.equal((await reschedule(inUtcDays(20, '12:00'))).body.conflict, 'too_far_ahead');
+    assert.equal((await reschedule(inUtcDays(9, '12:00'))).status, 200);
+  });
+
+  it('keeps the old session event of a moved seat for the calendar sync worker when deleting it fails', async () => {
+    const groupHost = await createHost(app.request, { seats_per_slot: 3 });
+    const created = await book(app.request, groupHost.eventType.id, inUtcDays(7, '14:00'));
+    await app.pool.query(`UPDATE bookings SET google_calendar_event_id = 'old_session_event' WHERE id = $1`, [created.body.booking.id]);
+
+    // No Google credentials are configured in tests, so every calendar call fails
+    const moved = await app.request('PUT', `/api/bookings/${created.body.booking.id}/reschedule`, {
+      token: groupHost.token,
+      body: { scheduled_at: inUtcDays(8, '14:00') }
+    });
+    assert.equal(moved.status, 200);
+
+    const stored = await app.pool.query(
+      'SELECT calendar_sync_action, calendar_sync_stale_event_ids, calendar_sync_retry_at FROM bookings WHERE id = $1',
+      [created.body.booking.id]
+    );
+    assert.equal(stored.rows[0].calendar_sync_action, 'delete');
+    assert.deepEqual(stored.rows[0].calendar_sync_stale_event_ids, ['old_session_event']);
+    assert.ok(stored.rows[0].calendar_sync_retry_at);
+  });
+});
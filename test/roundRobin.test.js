@@ -0,0 +1,98 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankHosts } from '../utils/roundRobin.js';
+import { startApp, skipWithoutDatabase, createHost, inUtcDays, book } from './helpers.js';
+
+const host = (userId, { weight = 1, lastBookedAt = null, weekBookings = 0 } = {}) =>
+  ({ userId, weight, lastBookedAt: lastBookedAt && new Date(lastBookedAt), weekBookings });
+
+const order = (hosts, strategy) => rankHosts(hosts, strategy).map(h => h.userId);
+
+describe('rankHosts', () => {
+  it('puts never-booked hosts first, then the one booked longest ago, for least_recently_booked', () => {
+    const hosts = [
+      host('a', { lastBookedAt: '2024-05-03T10:00:00Z' }),
+      host('b', { lastBookedAt: '2024-05-01T10:00:00Z' }),
+      host('c')
+    ];
+    assert.deepEqual(order(hosts, 'least_recently_booked'), ['c', 'b', 'a']);
+  });
+
+  it('puts the host with the fewest bookings this week first for fewest_bookings_this_week', () => {
+    const hosts = [host('a', { weekBookings: 3 }), host('b', { weekBookings: 1 }), host('c', { weekBookings: 2 })];
+    assert.deepEqual(order(hosts, 'fewest_bookings_this_week'), ['b', 'c', 'a']);
+  });
+
+  it('shares bookings in proportion to weight for weighted_priority', () => {
+    // 2 bookings at weight 4 is a lighter load than 1 booking at weight 1
+    const hosts = [host('a', { weight: 1, weekBookings: 1 }), host('b', { weight: 4, weekBookings: 2 }), host('c', { weight: 2, weekBookings: 3 })];
+    assert.deepEqual(order(hosts, 'weighted_priority'), ['b', 'a', 'c']);
+  });
+
+  it('prefers the heavier host when weighted load is equal', () => {
+    const hosts = [host('a', { weight: 1 }), host('b', { weight: 3 })];
+    assert.deepEqual(order(hosts, 'weighted_priority'), ['b', 'a']);
+  });
+
+  it('breaks ties by least recently booked, then by user id', () => {
+    const hosts = [
+      host('c', { weekBookings: 1, lastBookedAt: '2024-05-02T10:00:00Z' }),
+      host('b', { weekBookings: 1 }),
+      host('a', { weekBookings: 1 }),
+      host('d', { weekBookings: 1, lastBookedAt: '2024-05-01T10:00:00Z' })
+    ];
+    assert.deepEqual(order(hosts, 'fewest_bookings_this_week'), ['a', 'b', 'd', 'c']);
+    assert.deepEqual(order([host('y'), host('x')], 'least_recently_booked'), ['x', 'y']);
+  });
+
+  it('does not reorder the hosts passed in', () => {
+    const hosts = [host('b'), host('a')];
+    rankHosts(hosts, 'least_recently_booked');
+    assert.deepEqual(hosts.map(h => h.userId), ['b', 'a']);
+  });
+
+  it('rejects an unknown strategy', () => {
+    assert.throws(() => rankHosts([host('a')], 'random'), /Unknown assignment strategy/);
+  });
+});
+
+describe('round-robin assignment', { skip: skipWithoutDatabase }, () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it('moves on to the next host when the least recently booked host is unavailable', async () => {
+    const owner = await createHost(app.request);
+    const colleague = await createHost(app.request);
+
+    await app.request('PUT', `/api/events/${owner.eventType.id}/hosts`, {
+      token: owner.token,
+      body: { strategy: 'least_recently_booked', hosts: [{ email: owner.email }, { email: colleague.email }] }
+    });
+    await app.request('POST', `/api/users/host-invites/${owner.eventType.id}/accept`, { token: colleague.token });
+
+    // The owner is busy 10:00-12:00, so the colleague takes the first booking
+    const blocked = await app.request('POST', '/api/users/blocked-times', {
+      token: owner.token,
+      body: { title: 'Busy', start_time: inUtcDays(7, '10:00'), end_time: inUtcDays(7, '12:00') }
+    });
+    assert.equal(blocked.status, 201);
+
+    const first = await book(app.request, owner.eventType.id, inUtcDays(7, '10:00'));
+    assert.equal(first.body.booking.userId, colleague.userId);
+
+    // The owner has never been booked and ranks first, but is still busy at 11:00
+    const second = await book(app.request, owner.eventType.id, inUtcDays(7, '11:00'));
+    assert.equal(second.status, 201);
+    assert.equal(second.body.booking.userId, colleague.userId);
+
+    const third = await book(app.request, owner.eventType.id, inUtcDays(7, '14:00'));
+    assert.equal(third.body.booking.userId, owner.userId);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, skipWithoutDatabase, createHost, inUtcDays, book } from './helpers.js';
+
+// Stored times must not depend on the server's local time zone
+process.env.TZ = 'America/New_York';
+
+describe('timestamps on a server outside UTC', { skip: skipWithoutDatabase }, () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it('stores and returns booking times as UTC', async () => {
+    const host = await createHost(app.request);
+    const scheduledAt = inUtcDays(7, '10:00');
+
+    const created = await book(app.request, host.eventType.id, scheduledAt);
+    assert.equal(created.status, 201);
+
+    const stored = await app.pool.query(
+      'SELECT scheduled_at::text AS wall_time, scheduled_at, created_at FROM bookings WHERE id = $1',
+      [created.body.booking.id]
+    );
+    assert.equal(stored.rows[0].wall_time, `${scheduledAt.slice(0, 10)} 10:00:00`);
+    assert.equal(stored.rows[0].scheduled_at.toISOString(), scheduledAt);
+    assert.ok(Math.abs(stored.rows[0].created_at.getTime() - Date.now()) < 60 * 1000);
+
+    const fetched = await app.request('GET', `/api/bookings/${created.body.booking.id}`, { token: host.token });
+    assert.equal(new Date(fetched.body.booking.scheduledAt).toISOString(), scheduledAt);
+  });
+
+  it('rejects a second booking at a stored booking time', async () => {
+    const host = await createHost(app.request);
+    const scheduledAt = inUtcDays(8, '11:00');
+    assert.equal((await book(app.request, host.eventType.id, scheduledAt)).status, 201);
+
+    const retry = await book(app.request, host.eventType.id, scheduledAt);
+    assert.equal(retry.status, 409);
+  });
+});
@@ -0,0 +1,35 @@
+import { formatIcsDate } from './ics.js';
+
+// "Add to calendar" links for emails; Apple Calendar has no web composer, so it opens the booking's .ics file
+
+export function googleCalendarUrl({ title, start, end, details, location }) {
+  const params = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: title,
+    dates: `${formatIcsDate(start)}/${formatIcsDate(end)}`
+  });
+  if (details) params.set('details', details);
+  if (location) params.set('location', location);
+  return `https://calendar.google.com/calendar/render?${params}`;
+}
+
+export function outlookCalendarUrl({ title, start, end, details, location }) {
+  const params = new URLSearchParams({
+    path: '/calendar/action/compose',
+    rru: 'addevent',
+    subject: title,
+    startdt: new Date(start).toISOString(),
+    enddt: new Date(end).toISOString()
+  });
+  if (details) params.set('body', details);
+  if (location) params.set('location', location);
+  return `https://outlook.live.com/calendar/0/deeplink/compose?${params}`;
+}
+
+export function calendarLinks(event, icsUrl) {
+  return {
+    google: googleCalendarUrl(event),
+    outlook: outlookCalendarUrl(event),
+    apple: icsUrl
+  };
+}
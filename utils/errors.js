@@ -0,0 +1,27 @@
+// Raised when a requested time cannot be booked; errorHandler maps it to a 409
+export class ConflictError extends Error {
+  constructor(message, conflict) {
+    super(message);
+    this.name = 'ConflictError';
+    this.status = 409;
+    this.conflict = conflict;
+  }
+}
+
+// Raised when a payment webhook does not carry a valid provider signature
+export class WebhookSignatureError extends Error {
+  constructor(message = 'Invalid webhook signature') {
+    super(message);
+    this.name = 'WebhookSignatureError';
+    this.status = 400;
+  }
+}
+
+// Raised when the payment provider cannot start a checkout; the booking is released
+export class PaymentProviderError extends Error {
+  constructor(message = 'The payment could not be started') {
+    super(message);
+    this.name = 'PaymentProviderError';
+    this.status = 502;
+  }
+}
@@ -0,0 +1,133 @@
+// iCalendar (RFC 5545) text for booking events
+
+// Host part of event UIDs; a booking keeps the same UID in every calendar file it appears in
+const UID_DOMAIN = process.env.ICS_UID_DOMAIN || 'amromeet.com';
+
+export function bookingUid(bookingId) {
+  return `${bookingId}@${UID_DOMAIN}`;
+}
+
+export function escapeIcsText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// 20240102T150000Z
+export function formatIcsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const bytes = Buffer.from(line);
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+    // Do not split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    parts.push(bytes.subarray(start, end).toString());
+    start = end;
+  }
+  return parts.join('\r\n ');
+}
+
+function lines(...items) {
+  return items.filter(Boolean).map(foldLine).join('\r\n') + '\r\n';
+}
+
+export function icsCalendarStart({ method } = {}) {
+  return lines(
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Amromeet//Bookings//EN',
+    'CALSCALE:GREGORIAN',
+    method && `METHOD:${method}`
+  );
+}
+
+export function icsCalendarEnd() {
+  return lines('END:VCALENDAR');
+}
+
+const EVENT_STATUSES = {
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  no_show: 'CONFIRMED',
+  pending: 'TENTATIVE',
+  pending_payment: 'TENTATIVE',
+  cancelled: 'CANCELLED',
+  declined: 'CANCELLED',
+  expired: 'CANCELLED'
+};
+
+/**
+ * One VEVENT. `status` is a booking status; `sequence` must grow with every change
+ * sent to calendars that already have the event.
+ */
+export function icsEvent({
+  uid,
+  sequence = 0,
+  start,
+  end,
+  summary,
+  description,
+  meetLink,
+  organizerEmail,
+  organizerName,
+  attendees = [],
+  status = 'confirmed',
+  createdAt
+}) {
+  const descriptionText = [description, meetLink && `Join: ${meetLink}`].filter(Boolean).join('\n\n');
+
+  return lines(
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatIcsDate(new Date())}`,
+    createdAt && `CREATED:${formatIcsDate(createdAt)}`,
+    `DTSTART:${formatIcsDate(start)}`,
+    `DTEND:${formatIcsDate(end)}`,
+    `SUMMARY:${escapeIcsText(summary)}`,
+    descriptionText && `DESCRIPTION:${escapeIcsText(descriptionText)}`,
+    meetLink && `LOCATION:${escapeIcsText(meetLink)}`,
+    meetLink && `URL:${meetLink}`,
+    `STATUS:${EVENT_STATUSES[status] || 'CONFIRMED'}`,
+    organizerEmail && `ORGANIZER${organizerName ? `;CN=${escapeParam(organizerName)}` : ''}:mailto:${organizerEmail}`,
+    ...attendees.map(a =>
+      `ATTENDEE${a.name ? `;CN=${escapeParam(a.name)}` : ''};ROLE=REQ-PARTICIPANT;RSVP=TRUE:mailto:${a.email}`
+    ),
+    'END:VEVENT'
+  );
+}
+
+/**
+ * A calendar file for one booking, attached to booking emails. REQUEST adds or updates the
+ * entry with the booking's UID; CANCEL removes it. Without a method it is a plain download.
+ */
+export function bookingInvite({ booking, eventName, organizerEmail, organizerName, attendees, method }) {
+  return icsCalendarStart({ method }) + icsEvent({
+    uid: bookingUid(booking.id),
+    sequence: booking.ics_sequence || 0,
+    start: booking.scheduled_at,
+    end: booking.end_time,
+    summary: eventName,
+    description: booking.description,
+    meetLink: booking.google_meet_link,
+    organizerEmail,
+    organizerName,
+    attendees: attendees || [{ name: booking.guest_name, email: booking.guest_email }],
+    status: method === 'CANCEL' ? 'cancelled' : booking.status
+  }) + icsCalendarEnd();
+}
+
+// Parameter values are quoted and cannot contain quotes
+function escapeParam(value) {
+  return `"${String(value).replace(/"/g, "'").replace(/[\r\n]/g, ' ')}"`;
+}
@@ -28,6 +28,19 @@ export function verifyToken(token) {
   }
 }
 
+// Signed link token letting a guest view, cancel or reschedule one booking until it ends
+export function generateManageToken(bookingId, endTime) {
+  return jwt.sign(
+    { bookingId, purpose: 'manage_booking', exp: Math.floor(new Date(endTime).getTime() / 1000) },
+    JWT_SECRET
+  );
+}
+
+export function verifyManageToken(token) {
+  const decoded = verifyToken(token);
+  return decoded?.purpose === 'manage_booking' ? decoded : null;
+}
+
 export function generateResetToken() {
   return require('crypto').randomBytes(32).toString('hex');
 }
@@ -0,0 +1,42 @@
+// Host ranking for round-robin event types; pure, so strategies can be checked without a database
+
+export const ASSIGNMENT_STRATEGIES = ['least_recently_booked', 'fewest_bookings_this_week', 'weighted_priority'];
+
+// Hosts never booked come first, then the one whose last booking was made longest ago
+function byLeastRecentlyBooked(a, b) {
+  const aTime = a.lastBookedAt ? new Date(a.lastBookedAt).getTime() : -Infinity;
+  const bTime = b.lastBookedAt ? new Date(b.lastBookedAt).getTime() : -Infinity;
+  return aTime === bTime ? 0 : aTime < bTime ? -1 : 1;
+}
+
+function byFewestBookingsThisWeek(a, b) {
+  return a.weekBookings - b.weekBookings;
+}
+
+// Bookings per unit of weight, so a host with weight 2 takes twice the share; with equal load the heavier host goes first
+function byWeightedPriority(a, b) {
+  return (a.weekBookings / a.weight - b.weekBookings / b.weight) || b.weight - a.weight;
+}
+
+const COMPARATORS = {
+  least_recently_booked: byLeastRecentlyBooked,
+  fewest_bookings_this_week: byFewestBookingsThisWeek,
+  weighted_priority: byWeightedPriority
+};
+
+/**
+ * Order the hosts of a round-robin event type by who should take the next booking, best first.
+ * Each host is { userId, weight, lastBookedAt, weekBookings }, where weekBookings counts their
+ * bookings of the event type in the week of the requested time. Ties go to the least recently
+ * booked host, then by user id so the order is stable. Returns a new array.
+ */
+export function rankHosts(hosts, strategy) {
+  const compare = COMPARATORS[strategy];
+  if (!compare) {
+    throw new Error(`Unknown assignment strategy: ${strategy}`);
+  }
+
+  return [...hosts].sort((a, b) =>
+    compare(a, b) || byLeastRecentlyBooked(a, b) || String(a.userId).localeCompare(String(b.userId))
+  );
+}
@@ -0,0 +1,125 @@
+export const DAYS_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'long',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock parts of an instant as seen in the given IANA time zone
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    dayOfWeek: parts.weekday
+  };
+}
+
+// Offset of the time zone from UTC at the given instant, in minutes
+export function getTimeZoneOffset(date, timeZone) {
+  const instant = new Date(date);
+  instant.setUTCMilliseconds(0);
+  const p = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - instant.getTime()) / 60000);
+}
+
+// Convert a wall-clock date ('YYYY-MM-DD') and time ('HH:MM') in a time zone to a UTC Date.
+// Returns null when the wall-clock time does not exist (DST spring-forward gap).
+// Ambiguous times (DST fall-back) resolve to the earlier instant.
+export function zonedTimeToUtc(dateString, timeString, timeZone) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hour, minute] = timeString.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  const candidates = new Set();
+  for (const probe of [wallClock - 86400000, wallClock, wallClock + 86400000]) {
+    candidates.add(wallClock - getTimeZoneOffset(probe, timeZone) * 60000);
+  }
+
+  const matches = [...candidates]
+    .filter(ts => {
+      const p = getZonedParts(ts, timeZone);
+      return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) === wallClock;
+    })
+    .sort((a, b) => a - b);
+
+  return matches.length > 0 ? new Date(matches[0]) : null;
+}
+
+// Calendar date ('YYYY-MM-DD') of an instant in the given time zone
+export function toZonedDateString(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+// Wall-clock time ('HH:MM') of an instant in the given time zone
+export function toZonedTimeString(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+// ISO 8601 representation of an instant with the zone's UTC offset, e.g. 2024-03-10T09:00:00-04:00
+export function formatInTimeZone(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const offset = getTimeZoneOffset(date, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const absOffset = Math.abs(offset);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(absOffset / 60))}:${pad(absOffset % 60)}`;
+}
+
+export function addDaysToDateString(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return date.toISOString().split('T')[0];
+}
+
+// Same day of the month `months` later; null when that day does not exist (e.g. Feb 30)
+export function addMonthsToDateString(dateString, months) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1 + months, day));
+  if (date.getUTCDate() !== day) return null;
+  return date.toISOString().split('T')[0];
+}
+
+export function getDayOfWeek(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return DAYS_OF_WEEK[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
@@ -1,4 +1,11 @@
 import Joi from 'joi';
+import { isValidTimeZone } from './timezone.js';
+import { ASSIGNMENT_STRATEGIES } from './roundRobin.js';
+
+// IANA time zone name, e.g. 'Europe/Berlin'
+const timeZoneField = Joi.string().max(50).custom((value, helpers) => {
+  return isValidTimeZone(value) ? value : helpers.message('{{#label}} must be a valid IANA time zone');
+});
 
 export const signupSchema = Joi.object({
   email: Joi.string().email().required().messages({
@@ -19,6 +26,9 @@ export const loginSchema = Joi.object({
   password: Joi.string().required()
 });
 
+export const MAX_ADDITIONAL_ATTENDEES = 20;
+export const MAX_SEATS_PER_SLOT = 1000;
+
 export const eventTypeSchema = Joi.object({
   name: Joi.string().max(255).required(),
   description: Joi.string().max(1000),
@@ -29,7 +39,26 @@ export const eventTypeSchema = Joi.object({
   buffer_time_before: Joi.number().integer().min(0),
   buffer_time_after: Joi.number().integer().min(0),
   min_advance_notice_minutes: Joi.number().integer().min(0),
-  max_advance_booking_days: Joi.number().integer().min(1).max(365)
+  max_advance_booking_days: Joi.number().integer().min(1).max(365),
+  schedule_id: Joi.string().uuid().allow(null),
+  // 0 removes the cap
+  max_bookings_per_day: Joi.number().integer().min(0),
+  max_bookings_per_week: Joi.number().integer().min(0),
+  requires_approval: Joi.boolean(),
+  // How long a pending request holds its slot
+  approval_window_hours: Joi.number().integer().min(1).max(720),
+  // Guests who can book the same start time; above 1 makes a group event type
+  seats_per_slot: Joi.number().integer().min(1).max(MAX_SEATS_PER_SLOT),
+  // Colleagues a guest may bring, besides themselves
+  max_additional_attendees: Joi.number().integer().min(0).max(MAX_ADDITIONAL_ATTENDEES),
+  // Guests pay before the booking is confirmed when the price is above zero
+  price: Joi.number().min(0).max(99999999.99).precision(2),
+  currency: Joi.string().uppercase().pattern(/^[A-Z]{3}$/)
+});
+
+export const attendeeSchema = Joi.object({
+  email: Joi.string().email().max(255).required(),
+  name: Joi.string().max(255).allow('', null)
 });
 
 export const bookingSchema = Joi.object({
@@ -37,10 +66,19 @@ export const bookingSchema = Joi.object({
   guest_name: Joi.string().max(255).required(),
   guest_email: Joi.string().email().required(),
   guest_phone: Joi.string().max(20),
-  guest_timezone: Joi.string().max(50),
+  guest_timezone: timeZoneField,
   scheduled_at: Joi.date().iso().required(),
   description: Joi.string().max(1000),
-  custom_fields: Joi.object()
+  custom_fields: Joi.object(),
+  hold_token: Joi.string().hex().length(48),
+  // Checked against the event type's max_additional_attendees
+  attendees: Joi.array().items(attendeeSchema).max(MAX_ADDITIONAL_ATTENDEES)
+    .unique((a, b) => a.email.toLowerCase() === b.email.toLowerCase())
+});
+
+export const slotHoldSchema = Joi.object({
+  scheduled_at: Joi.date().iso().required(),
+  guest_email: Joi.string().email()
 });
 
 export const availabilitySlotSchema = Joi.object({
@@ -49,16 +87,218 @@ export const availabilitySlotSchema = Joi.object({
   end_time: Joi.string().regex(/^\d{2}:\d{2}$/).required()
 });
 
+export const scheduleSchema = Joi.object({
+  name: Joi.string().max(255).required(),
+  timezone: timeZoneField.required(),
+  is_default: Joi.boolean().default(false),
+  rules: Joi.array().items(availabilitySlotSchema)
+});
+
+export const blockedTimeSchema = Joi.object({
+  title: Joi.string().max(255),
+  start_time: Joi.date().iso().required(),
+  end_time: Joi.date().iso().greater(Joi.ref('start_time')).required(),
+  reason: Joi.string().max(100),
+  kind: Joi.string().valid('blocked', 'available').default('blocked'),
+  is_recurring: Joi.boolean().default(false),
+  recurring_pattern: Joi.string().valid('daily', 'weekly', 'monthly', 'yearly').allow(null).when('is_recurring', {
+    is: true,
+    then: Joi.required().invalid(null)
+  }),
+  recurring_until: Joi.date().iso().allow(null)
+});
+
+export const blockedTimeQuerySchema = Joi.object({
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')),
+  kind: Joi.string().valid('blocked', 'available')
+});
+
+export const slotQuerySchema = Joi.object({
+  from: Joi.string().regex(/^\d{4}-\d{2}-\d{2}$/),
+  to: Joi.string().regex(/^\d{4}-\d{2}-\d{2}$/),
+  tz: timeZoneField
+});
+
 export const userSettingsSchema = Joi.object({
   theme: Joi.string().valid('light', 'dark'),
   language: Joi.string().max(10),
   notification_email: Joi.boolean(),
   notification_sms: Joi.boolean(),
   notification_push: Joi.boolean(),
-  timezone: Joi.string().max(50),
+  timezone: timeZoneField,
   default_meeting_duration: Joi.number().integer().min(15).max(480),
   buffer_time_before: Joi.number().integer().min(0),
-  buffer_time_after: Joi.number().integer().min(0)
+  buffer_time_after: Joi.number().integer().min(0),
+  // 0 removes the cap
+  max_bookings_per_day: Joi.number().integer().min(0),
+  max_bookings_per_week: Joi.number().integer().min(0),
+  enable_cancellations: Joi.boolean(),
+  cancellation_notice_hours: Joi.number().integer().min(0)
+});
+
+export const eventNotificationSchema = Joi.object({
+  relative_to: Joi.string().valid('start', 'end').default('start'),
+  timing: Joi.string().valid('before', 'after').default('before'),
+  // Up to 60 days
+  offset_minutes: Joi.number().integer().min(0).max(60 * 24 * 60).required(),
+  channel: Joi.string().valid('email').default('email'),
+  template: Joi.string().valid('reminder', 'follow_up').default('reminder')
+});
+
+export const eventNotificationsSchema = Joi.object({
+  notifications: Joi.array().items(eventNotificationSchema).max(10).required()
+});
+
+export const QUESTION_TYPES = ['text', 'long_text', 'select', 'multi_select', 'checkbox', 'phone', 'url'];
+
+export const eventQuestionSchema = Joi.object({
+  // Stable name the answer is stored under in custom_fields
+  key: Joi.string().regex(/^[a-z][a-z0-9_]*$/).max(50).required().messages({
+    'string.pattern.base': '{{#label}} must start with a letter and contain only lowercase letters, digits and underscores'
+  }),
+  label: Joi.string().max(255).required(),
+  type: Joi.string().valid(...QUESTION_TYPES).required(),
+  required: Joi.boolean().default(false),
+  options: Joi.when('type', {
+    is: Joi.valid('select', 'multi_select'),
+    then: Joi.array().items(Joi.string().max(255)).min(1).unique().required(),
+    otherwise: Joi.forbidden()
+  })
+});
+
+export const eventQuestionsSchema = Joi.object({
+  // Array order is the display order
+  questions: Joi.array().items(eventQuestionSchema).max(30).unique('key').required()
+});
+
+export const MAX_EVENT_TYPE_HOSTS = 50;
+
+export const eventHostsSchema = Joi.object({
+  // An empty list turns round-robin off, so the owner takes the bookings again
+  hosts: Joi.array().items(Joi.object({
+    email: Joi.string().email().max(255).required(),
+    // Share of bookings under weighted_priority
+    weight: Joi.number().integer().min(1).max(100).default(1)
+  })).max(MAX_EVENT_TYPE_HOSTS).unique((a, b) => a.email.toLowerCase() === b.email.toLowerCase()).required(),
+  strategy: Joi.string().valid(...ASSIGNMENT_STRATEGIES).when('hosts', {
+    is: Joi.array().min(1),
+    then: Joi.required()
+  })
+});
+
+const PHONE_PATTERN = /^\+?[0-9\s().-]{6,20}$/;
+
+// Joi schema for a guest's answers to an event type's questions
+export function buildAnswersSchema(questions) {
+  const keys = {};
+
+  for (const q of questions) {
+    let field;
+    switch (q.type) {
+      case 'long_text':
+        field = Joi.string().max(5000);
+        break;
+      case 'select':
+        field = Joi.string().valid(...q.options);
+        break;
+      case 'multi_select':
+        field = Joi.array().items(Joi.string().valid(...q.options)).unique();
+        if (q.required) field = field.min(1);
+        break;
+      case 'checkbox':
+        field = q.required ? Joi.boolean().valid(true) : Joi.boolean();
+        break;
+      case 'phone':
+        field = Joi.string().regex(PHONE_PATTERN).messages({ 'string.pattern.base': '{{#label}} must be a valid phone number' });
+        break;
+      case 'url':
+        field = Joi.string().uri({ scheme: ['http', 'https'] });
+        break;
+      default:
+        field = Joi.string().max(500);
+    }
+
+    if (q.required) {
+      field = field.required();
+    } else if (['text', 'long_text', 'phone', 'url', 'select'].includes(q.type)) {
+      field = field.allow('', null);
+    } else {
+      field = field.allow(null);
+    }
+
+    keys[q.key] = field.label(q.label);
+  }
+
+  return Joi.object(keys).unknown(false);
+}
+
+export const cancelBookingSchema = Joi.object({
+  reason: Joi.string().max(1000).allow('')
+});
+
+export const declineBookingSchema = Joi.object({
+  reason: Joi.string().max(1000).allow('')
+});
+
+export const bookingOutcomeSchema = Joi.object({
+  outcome: Joi.string().valid('completed', 'no_show').required(),
+  note: Joi.string().max(2000).allow('', null)
+});
+
+export const rescheduleBookingSchema = Joi.object({
+  scheduled_at: Joi.date().iso().required()
+});
+
+export const BOOKING_STATUSES = ['confirmed', 'pending', 'pending_payment', 'cancelled', 'declined', 'expired', 'completed', 'no_show'];
+
+// Accepts ?status=a,b as well as ?status=a&status=b
+const statusListField = Joi.alternatives().try(
+  Joi.array().items(Joi.string().valid(...BOOKING_STATUSES)).min(1),
+  Joi.string().custom((value, helpers) => {
+    const statuses = value.split(',').map(s => s.trim()).filter(Boolean);
+    if (statuses.length === 0 || statuses.some(s => !BOOKING_STATUSES.includes(s))) {
+      return helpers.message(`{{#label}} must be a comma-separated list of: ${BOOKING_STATUSES.join(', ')}`);
+    }
+    return statuses;
+  })
+);
+
+export const bookingListQuerySchema = Joi.object({
+  status: statusListField,
+  eventTypeId: Joi.string().uuid(),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso(),
+  q: Joi.string().trim().max(200).allow(''),
+  // ?customFields[company]=Acme
+  customFields: Joi.object().pattern(/^[a-z][a-z0-9_]*$/, Joi.string().max(255)).max(5),
+  sort: Joi.string().valid('scheduled_at', 'created_at', 'guest_name', 'guest_email', 'status').default('scheduled_at'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+  // Cursor mode: ?pagination=cursor for the first page, then ?cursor=<nextCursor>
+  pagination: Joi.string().valid('offset', 'cursor').default('offset'),
+  cursor: Joi.string().max(1000)
+});
+
+// Same filters and sort as the list; every matching booking is exported
+export const bookingExportQuerySchema = bookingListQuerySchema.keys({
+  format: Joi.string().valid('csv', 'ics').required()
+});
+
+export const bookingNotesSchema = Joi.object({
+  notes: Joi.string().max(5000).allow('', null).required()
+});
+
+export const auditLogQuerySchema = Joi.object({
+  action: Joi.string().max(255),
+  resource_type: Joi.string().max(100),
+  resource_id: Joi.string().max(255),
+  actor_type: Joi.string().valid('owner', 'guest', 'host', 'system'),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref('from')),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0)
 });
 
 export async function validate(schema, data) {